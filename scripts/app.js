@@ -4,12 +4,26 @@
  */
 
 import authManager from './auth.js';
-import firestoreStorageManager from './storage-firestore.js';
+import storageBackend from './storage-backend.js';
 import firestoreManager from './firestore.js';
 import uploadHandler from './upload.js';
 import filePreviewRouter from './preview/index.js';
-import { showModal, hideModal, showToast } from './ui/modals.js';
+import vaultManager from './vault.js';
+import quotaManager from './quota.js';
+import duplicateManager from './duplicate.js';
+import downloadManager from './download.js';
+import extractManager from './extract.js';
+import { splitPath, getFolderPath } from './paths.js';
+import { showModal, hideModal, showToast, showInputDialog, showProgress } from './ui/modals.js';
 import { setupKeyboardShortcuts } from './ui/keyboard.js';
+import { setupCleanupView } from './ui/cleanup.js';
+import { setupStorageAnalytics } from './ui/analytics.js';
+import { setupMaintenancePanel } from './ui/maintenance.js';
+import { setupFolderTree } from './ui/folder-tree.js';
+import { setupMoveDialog } from './ui/move-dialog.js';
+
+// Usage percentages that trigger a quota warning
+const QUOTA_WARNING_LEVELS = [80, 90, 100];
 
 class DriveNestApp {
   constructor() {
@@ -24,8 +38,8 @@ class DriveNestApp {
     this.searchDebounceTimer = null;
     this.currentPreviewController = null;
     
-    // Use Firestore storage manager instead of Firebase Storage
-    this.storageManager = firestoreStorageManager;
+    // Storage backend selected in firebase-config.js
+    this.storageManager = storageBackend;
     this.authManager = authManager;
     this.firestoreManager = firestoreManager;
     
@@ -49,6 +63,21 @@ class DriveNestApp {
       // Setup keyboard shortcuts
       setupKeyboardShortcuts(this);
       
+      // Setup the clean up storage view
+      setupCleanupView(this);
+      
+      // Setup the storage breakdown in settings
+      setupStorageAnalytics(this);
+      
+      // Setup the maintenance panel in settings
+      setupMaintenancePanel(this);
+      
+      // Setup the folder tree in the sidebar
+      setupFolderTree(this);
+      
+      // Setup the move dialog
+      setupMoveDialog(this);
+      
       // Setup event listeners
       this.setupEventListeners();
       
@@ -172,6 +201,16 @@ class DriveNestApp {
       // Update UI with user info
       this.updateUserInfo(user);
       
+      // Load encrypted vault settings (starts locked)
+      await vaultManager.load(user.uid).catch(error => {
+        console.error('Could not load vault settings:', error);
+      });
+
+      // Per-user quota overrides (falls back to storageConfig)
+      await quotaManager.load(user.uid).catch(error => {
+        console.error('Could not load quota:', error);
+      });
+      
       // Load user's files
       await this.loadFiles();
       
@@ -181,6 +220,14 @@ class DriveNestApp {
       // Update storage info
       await this.updateStorageInfo();
       
+      // Move legacy inline content out of the files collection (one-time)
+      this.storageManager.migrateLegacyContent(user.uid).catch(error => {
+        console.error('Content migration failed:', error);
+      });
+
+      // Offer to finish uploads interrupted by a reload or closed tab
+      uploadHandler.offerPendingUploads(user.uid);
+      
       showToast(`Welcome back, ${user.displayName || user.email}!`, 'success');
       
     } catch (error) {
@@ -189,6 +236,128 @@ class DriveNestApp {
     }
   }
 
+  /**
+   * Wire up the encrypted vault controls in the settings modal
+   */
+  setupVaultSettings() {
+    document.addEventListener('vaultStateChanged', () => this.updateVaultStatus());
+    this.updateVaultStatus();
+
+    document.getElementById('vault-setup-btn')?.addEventListener('click', () => this.setupVault());
+    document.getElementById('vault-unlock-btn')?.addEventListener('click', () => this.unlockVault());
+    document.getElementById('vault-change-btn')?.addEventListener('click', () => this.changeVaultPassphrase());
+
+    document.getElementById('vault-lock-btn')?.addEventListener('click', () => {
+      vaultManager.lock();
+      showToast('Vault locked', 'info');
+    });
+  }
+
+  /**
+   * Reflect vault state in the settings modal
+   */
+  updateVaultStatus() {
+    const configured = vaultManager.isConfigured();
+    const unlocked = vaultManager.isUnlocked();
+
+    const statusText = document.getElementById('vault-status-text');
+    const statusIcon = document.getElementById('vault-status-icon');
+    if (statusText) {
+      statusText.textContent = !configured ? 'Not set up' : unlocked ? 'Unlocked' : 'Locked';
+    }
+    if (statusIcon) {
+      statusIcon.textContent = configured && !unlocked ? '🔒' : '🔓';
+    }
+
+    document.getElementById('vault-setup-btn')?.classList.toggle('hidden', configured);
+    document.getElementById('vault-unlock-btn')?.classList.toggle('hidden', !configured || unlocked);
+    document.getElementById('vault-lock-btn')?.classList.toggle('hidden', !configured || !unlocked);
+    document.getElementById('vault-change-btn')?.classList.toggle('hidden', !configured);
+  }
+
+  /**
+   * Ask for a new passphrase twice
+   * @returns {Promise<string|null>} Passphrase, or null if cancelled or invalid
+   */
+  async promptNewPassphrase() {
+    const passphrase = await showInputDialog('New passphrase', 'Choose a passphrase of at least 8 characters.', {
+      inputType: 'password'
+    });
+    if (!passphrase) return null;
+
+    if (passphrase.length < 8) {
+      showToast('Passphrase must be at least 8 characters', 'error');
+      return null;
+    }
+
+    const confirmation = await showInputDialog('Confirm passphrase', 'Enter the passphrase again.', {
+      inputType: 'password'
+    });
+    if (confirmation === null) return null;
+
+    if (confirmation !== passphrase) {
+      showToast('Passphrases do not match', 'error');
+      return null;
+    }
+
+    return passphrase;
+  }
+
+  /**
+   * Create the encrypted vault
+   */
+  async setupVault() {
+    try {
+      const passphrase = await this.promptNewPassphrase();
+      if (!passphrase) return;
+
+      await vaultManager.setup(passphrase);
+      showToast('Vault set up. New uploads will be encrypted.', 'success');
+    } catch (error) {
+      console.error('Failed to set up vault:', error);
+      showToast(`Failed to set up vault: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Unlock the vault for this session
+   */
+  async unlockVault() {
+    try {
+      const passphrase = await showInputDialog('Unlock vault', 'Enter your vault passphrase.', {
+        inputType: 'password'
+      });
+      if (!passphrase) return;
+
+      await vaultManager.unlock(passphrase);
+      showToast('Vault unlocked', 'success');
+    } catch (error) {
+      console.error('Failed to unlock vault:', error);
+      showToast(error.message, 'error');
+    }
+  }
+
+  /**
+   * Change the vault passphrase
+   */
+  async changeVaultPassphrase() {
+    try {
+      const current = await showInputDialog('Change passphrase', 'Enter your current passphrase.', {
+        inputType: 'password'
+      });
+      if (!current) return;
+
+      const passphrase = await this.promptNewPassphrase();
+      if (!passphrase) return;
+
+      await vaultManager.changePassphrase(current, passphrase);
+      showToast('Passphrase changed', 'success');
+    } catch (error) {
+      console.error('Failed to change passphrase:', error);
+      showToast(error.message, 'error');
+    }
+  }
+
   /**
    * Handle user sign out
    */
@@ -198,6 +367,9 @@ class DriveNestApp {
     this.files = [];
     this.filteredFiles = [];
     this.selectedFiles.clear();
+    vaultManager.reset();
+    quotaManager.reset();
+    this.folderTree.reset();
     this.showAuthGate();
   }
 
@@ -244,6 +416,17 @@ class DriveNestApp {
         return;
       }
       
+      // The cleanup view renders its own suggestions instead of the grid
+      if (this.currentView === 'cleanup') {
+        await this.cleanupView.show(user.uid);
+        this.files = this.cleanupView.files;
+        this.filteredFiles = [];
+        this.updateViewTitle();
+        this.updateBreadcrumb();
+        return;
+      }
+      this.cleanupView.setVisible(false);
+      
       switch (this.currentView) {
         case 'my-files':
           this.files = await firestoreManager.getUserFiles(user.uid, this.currentPath);
@@ -264,11 +447,19 @@ class DriveNestApp {
           this.files = [];
       }
       
+      this.files.sort((a, b) => this.compareFoldersFirst(a, b));
       this.filteredFiles = [...this.files];
       this.renderFiles();
       this.updateViewTitle();
       this.updateBreadcrumb();
       
+      // The tree reuses the folders just loaded for the current folder
+      if (this.currentView === 'my-files') {
+        this.folderTree.setCurrentPath(this.currentPath, this.files);
+      } else {
+        this.folderTree.setCurrentPath(null);
+      }
+      
     } catch (error) {
       console.error('Error getting user files:', error);
       this.files = [];
@@ -293,6 +484,8 @@ class DriveNestApp {
     const fileGrid = document.getElementById('file-grid');
     const emptyState = document.getElementById('empty-state');
     
+    this.updateSelectionActions();
+    
     if (this.filteredFiles.length === 0) {
       fileGrid.innerHTML = '';
       emptyState.classList.remove('hidden');
@@ -311,18 +504,40 @@ class DriveNestApp {
     });
   }
 
+  /**
+   * Show the selection actions bar while items are selected
+   */
+  updateSelectionActions() {
+    const count = this.selectedFiles.size;
+    document.getElementById('selection-actions')?.classList.toggle('hidden', count === 0);
+    const countEl = document.getElementById('selection-count');
+    if (countEl) countEl.textContent = count;
+
+    const selected = count === 1 ? this.files.find(file => this.selectedFiles.has(file.id)) : null;
+    document.getElementById('extract-selected-btn')?.classList.toggle('hidden', !this.canExtract(selected));
+  }
+
+  /**
+   * @param {Object} file File document
+   * @returns {boolean} True if the file is a ZIP archive that can be extracted
+   */
+  canExtract(file) {
+    return Boolean(file) && !file.trashed && extractManager.isArchive(file);
+  }
+
   /**
    * Render a single file item
    */
   renderFileItem(file) {
     const isSelected = this.selectedFiles.has(file.id);
     const fileType = file.type || file.mimeType || '';
+    const isFolder = fileType === 'folder';
     const icon = this.getFileIcon(fileType);
-    const size = this.formatFileSize(file.size);
+    const size = isFolder ? 'Folder' : this.formatFileSize(file.size);
     const date = this.formatDate(file.modified || file.created);
     
     return `
-      <div class="file-item ${isSelected ? 'selected' : ''}" data-file-id="${file.id}">
+      <div class="file-item ${isFolder ? 'folder-item' : ''} ${isSelected ? 'selected' : ''}" data-file-id="${file.id}">
         <div class="file-icon">${icon}</div>
         ${this.viewMode === 'list' ? `
           <div class="file-info">
@@ -349,6 +564,7 @@ class DriveNestApp {
   getFileIcon(type) {
     if (!type || typeof type !== 'string') return '📄';
     
+    if (type === 'folder') return '📁';
     if (type.startsWith('image/')) return '🖼️';
     if (type.startsWith('video/')) return '🎬';
     if (type.startsWith('audio/')) return '🎵';
@@ -372,6 +588,19 @@ class DriveNestApp {
     return parseFloat((bytes / Math.pow(k, i)).toFixed(1)) + ' ' + sizes[i];
   }
 
+  /**
+   * Format a file's original size, adding the stored size when it differs
+   * (compressed or encrypted content)
+   */
+  formatStoredSize(file) {
+    const originalSize = file.originalSize || file.size || 0;
+    const size = this.formatFileSize(originalSize);
+    if (!file.storedSize || file.storedSize === originalSize) return size;
+
+    const note = file.compression ? `, ${file.compression}` : '';
+    return `${size} (${this.formatFileSize(file.storedSize)} stored${note})`;
+  }
+
   /**
    * Format date for display
    */
@@ -422,9 +651,50 @@ class DriveNestApp {
    */
   handleFileDoubleClick(e, fileId) {
     e.preventDefault();
+    const file = this.files.find(f => f.id === fileId);
+    if (file?.type === 'folder') {
+      this.openFolder(file);
+      return;
+    }
     this.openFilePreview(fileId);
   }
 
+  /**
+   * Show a folder's contents in My Files
+   * @param {Object} folder Folder document
+   */
+  async openFolder(folder) {
+    if (folder.trashed) {
+      showToast('Restore this folder to open it', 'info');
+      return;
+    }
+
+    // switchView starts at the root, so the path is set afterwards
+    if (this.currentView !== 'my-files') {
+      await this.switchView('my-files');
+    }
+
+    await this.navigateToPath(splitPath(getFolderPath(folder)));
+  }
+
+  /**
+   * Show the folder at a path in My Files
+   * @param {string[]} path Folder path segments ([] for My Files)
+   */
+  async navigateToPath(path) {
+    this.currentPath = [...path];
+    this.selectedFiles.clear();
+    await this.loadFiles();
+  }
+
+  /**
+   * Go to the parent of the current folder
+   */
+  async navigateUp() {
+    if (this.currentView !== 'my-files' || this.currentPath.length === 0) return;
+    await this.navigateToPath(this.currentPath.slice(0, -1));
+  }
+
   /**
    * Open file preview modal
    */
@@ -492,7 +762,7 @@ class DriveNestApp {
    * Update preview modal file info
    */
   updatePreviewInfo(file) {
-    document.getElementById('info-size').textContent = this.formatFileSize(file.size);
+    document.getElementById('info-size').textContent = this.formatStoredSize(file);
     document.getElementById('info-type').textContent = file.type || file.mimeType || '';
     document.getElementById('info-created').textContent = this.formatDate(file.created);
     document.getElementById('info-modified').textContent = this.formatDate(file.modified || file.created);
@@ -504,6 +774,8 @@ class DriveNestApp {
       starBtn.innerHTML = file.starred ? '⭐ Starred' : '☆ Star';
       starBtn.className = file.starred ? 'btn btn-warning' : 'btn btn-outline';
     }
+
+    document.getElementById('extract-btn')?.classList.toggle('hidden', !this.canExtract(file));
   }
 
   /**
@@ -512,7 +784,7 @@ class DriveNestApp {
   async generatePreviewContent(file) {
     try {
       console.log('Generating preview for file:', file);
-      const url = await firestoreStorageManager.getDownloadURL(file.id);
+      const url = await this.storageManager.getDownloadURL(file.id);
       console.log('Got download URL:', url);
     
       // Create a temporary container element
@@ -548,6 +820,14 @@ class DriveNestApp {
       }
     } catch (error) {
       console.error('Error getting download URL:', error);
+
+      // Content failed its checksum: show the corrupted state, not a download
+      if (error.code === 'file-corrupted') {
+        const container = document.createElement('div');
+        filePreviewRouter.createErrorPreview({ name: file.name, mimeType: file.type, size: file.size }, null, container, error);
+        return container.innerHTML;
+      }
+
       return `<div style="text-align: center; padding: 2rem; color: var(--text-muted);">
         <div style="font-size: 4rem; margin-bottom: 1rem;">${this.getFileIcon(file.type)}</div>
         <h3>Preview not available</h3>
@@ -625,7 +905,45 @@ class DriveNestApp {
       
     } catch (error) {
       console.error('Error downloading file:', error);
-      showToast('Error downloading file', 'error');
+      if (error.code === 'file-corrupted') {
+        showToast(`"${file.name}" is corrupted and was not downloaded. Upload it again from your original copy.`, 'error');
+      } else {
+        showToast(`Error downloading file: ${error.message}`, 'error');
+      }
+    }
+  }
+
+  /**
+   * Download files and folders as one ZIP archive, keeping folder structure
+   * @param {string[]} fileIds IDs of the items to download
+   */
+  async downloadItems(fileIds) {
+    const items = this.files.filter(file => fileIds.includes(file.id));
+    if (!this.user || items.length === 0) return;
+
+    let progress = null;
+    try {
+      const result = await downloadManager.downloadZip(items, this.user.uid, (bytesDone, totalBytes, file) => {
+        if (!progress) {
+          progress = showProgress('Preparing download', '');
+        }
+        progress.setMessage(`Adding "${file.name}"...`);
+        progress.update(totalBytes > 0 ? (bytesDone / totalBytes) * 100 : 100);
+      });
+      if (!result) return;
+
+      if (result.skipped.length > 0) {
+        const names = result.skipped.slice(0, 3).map(entry => `"${entry.name}" (${entry.reason})`).join(', ');
+        const more = result.skipped.length > 3 ? ` and ${result.skipped.length - 3} more` : '';
+        showToast(`${result.fileName}: ${result.skipped.length} file(s) left out: ${names}${more}`, 'warning', 8000);
+      } else {
+        showToast(`Downloaded ${result.fileCount} file(s) as ${result.fileName}`, 'success');
+      }
+    } catch (error) {
+      console.error('Error downloading ZIP:', error);
+      showToast(`Could not create the ZIP: ${error.message}`, 'error');
+    } finally {
+      progress?.close();
     }
   }
 
@@ -640,9 +958,11 @@ class DriveNestApp {
         return;
       }
       
-      const usage = await this.storageManager.getStorageUsage(user.uid);
-      const quota = 1024 * 1024 * 1024; // 1GB for free tier
-      const percentage = Math.min((usage.used / quota) * 100, 100);
+      // Running totals kept in users/{uid}.usage, no file scan needed
+      const usage = await firestoreManager.getUsage(user.uid);
+      const used = usage.physical || 0;
+      const quota = quotaManager.getStorageQuota();
+      const percentage = Math.min((used / quota) * 100, 100);
       
       // Update storage bars
       document.querySelectorAll('.storage-used').forEach(bar => {
@@ -650,19 +970,33 @@ class DriveNestApp {
       });
       
       // Update storage text
-      document.querySelectorAll('#storage-used, #settings-storage-used').forEach(el => {
-        el.textContent = this.formatFileSize(usage.used);
+      document.querySelectorAll('#storage-used, #settings-storage-used, #storage-used-mb').forEach(el => {
+        el.textContent = this.formatFileSize(used);
       });
 
+      // Update dashboard stats
+      const filesCount = document.getElementById('total-files-count');
+      if (filesCount) filesCount.textContent = usage.fileCount || 0;
+      const foldersCount = document.getElementById('total-folders-count');
+      if (foldersCount) foldersCount.textContent = usage.folderCount || 0;
+
       // Update storage percentage
       document.querySelectorAll('#storage-percentage').forEach(el => {
         el.textContent = `${Math.round(percentage)}%`;
       });
 
+      this.updateQuotaWarning(used, quota);
+
       // Update total storage displays
-      document.querySelectorAll('#storage-total, #settings-storage-total').forEach(el => {
+      document.querySelectorAll('#storage-total, #settings-storage-total, .quota-storage-total').forEach(el => {
         el.textContent = this.formatFileSize(quota);
       });
+
+      // Update per-file limit hints
+      const maxFileSize = quotaManager.getMaxFileSize(this.storageManager);
+      document.querySelectorAll('.quota-max-file-size').forEach(el => {
+        el.textContent = this.formatFileSize(maxFileSize);
+      });
       
     } catch (error) {
       console.error('Storage usage error:', error);
@@ -670,7 +1004,7 @@ class DriveNestApp {
       document.querySelectorAll('.storage-used').forEach(bar => {
         bar.style.width = '0%';
       });
-      document.querySelectorAll('#storage-used, #settings-storage-used').forEach(el => {
+      document.querySelectorAll('#storage-used, #settings-storage-used, #storage-used-mb').forEach(el => {
         el.textContent = '0 MB';
       });
       document.querySelectorAll('#storage-percentage').forEach(el => {
@@ -679,6 +1013,83 @@ class DriveNestApp {
     }
   }
 
+  /**
+   * Warn when usage crosses 80%, 90% or 100% of the quota: a toast once per
+   * crossing and a banner that stays until dismissed. Dropping back below a
+   * threshold re-arms both.
+   * @param {number} used Bytes used
+   * @param {number} quota Quota in bytes
+   */
+  updateQuotaWarning(used, quota) {
+    const percentage = quota > 0 ? (used / quota) * 100 : 0;
+    const level = [...QUOTA_WARNING_LEVELS].reverse().find(threshold => percentage >= threshold) || 0;
+    const storageKey = `quotaWarning:${this.user?.uid}`;
+    const state = JSON.parse(localStorage.getItem(storageKey) || '{}');
+
+    if (level > (state.notified || 0)) {
+      showToast(this.getQuotaWarningMessage(level, used, quota), level >= 100 ? 'error' : 'warning');
+    }
+
+    state.notified = level;
+    state.dismissed = Math.min(state.dismissed || 0, level);
+    localStorage.setItem(storageKey, JSON.stringify(state));
+    this.quotaWarningLevel = level;
+
+    const banner = document.getElementById('quota-banner');
+    if (!banner) return;
+
+    banner.classList.toggle('hidden', level === 0 || level <= state.dismissed);
+    banner.classList.toggle('quota-banner-full', level >= 100);
+    document.getElementById('quota-banner-text').textContent = this.getQuotaWarningMessage(level, used, quota);
+  }
+
+  /**
+   * @param {number} level Threshold crossed (80, 90 or 100)
+   * @param {number} used Bytes used
+   * @param {number} quota Quota in bytes
+   * @returns {string} Warning text
+   */
+  getQuotaWarningMessage(level, used, quota) {
+    const amount = `${this.formatFileSize(used)} of ${this.formatFileSize(quota)}`;
+    if (level >= 100) {
+      return `Your storage is full (${amount}). New uploads will be refused until you free up space.`;
+    }
+    return `You've used ${level}% of your storage (${amount}).`;
+  }
+
+  /**
+   * Hide the quota banner until the next threshold is crossed
+   */
+  dismissQuotaWarning() {
+    const storageKey = `quotaWarning:${this.user?.uid}`;
+    const state = JSON.parse(localStorage.getItem(storageKey) || '{}');
+    state.dismissed = this.quotaWarningLevel || 0;
+    localStorage.setItem(storageKey, JSON.stringify(state));
+    document.getElementById('quota-banner')?.classList.add('hidden');
+  }
+
+  /**
+   * Rebuild the usage totals from the user's files (settings repair action)
+   */
+  async recalculateUsage() {
+    const user = authManager.getCurrentUser();
+    if (!user) return;
+
+    const button = document.getElementById('recalculate-usage-btn');
+    if (button) button.disabled = true;
+
+    try {
+      await firestoreManager.recomputeUsage(user.uid);
+      await this.updateStorageInfo();
+      showToast('Storage usage recalculated', 'success');
+    } catch (error) {
+      console.error('Error recalculating usage:', error);
+      showToast(`Could not recalculate usage: ${error.message}`, 'error');
+    } finally {
+      if (button) button.disabled = false;
+    }
+  }
+
   /**
    * Update view title
    */
@@ -689,7 +1100,8 @@ class DriveNestApp {
       'shared': 'Shared with me',
       'starred': 'Starred',
       'recent': 'Recent',
-      'trash': 'Trash'
+      'trash': 'Trash',
+      'cleanup': 'Clean up storage'
     };
     
     viewTitle.textContent = titles[this.currentView] || 'My Files';
@@ -700,15 +1112,23 @@ class DriveNestApp {
    */
   updateBreadcrumb() {
     const breadcrumb = document.getElementById('breadcrumb');
-    let html = `<span class="breadcrumb-item">${this.getViewTitle()}</span>`;
+    const segments = [this.getViewTitle(), ...this.currentPath];
     
-    if (this.currentPath.length > 0) {
-      this.currentPath.forEach((folder, index) => {
-        html += `<span class="breadcrumb-item">${this.escapeHtml(folder)}</span>`;
+    // Each segment except the current folder opens the folder at that depth
+    breadcrumb.innerHTML = segments.map((segment, depth) => depth === segments.length - 1
+      ? `<span class="breadcrumb-item active">${this.escapeHtml(segment)}</span>`
+      : `<a href="#" class="breadcrumb-item breadcrumb-link" data-depth="${depth}">${this.escapeHtml(segment)}</a>`
+    ).join('');
+    
+    breadcrumb.querySelectorAll('.breadcrumb-link').forEach(link => {
+      link.addEventListener('click', (e) => {
+        e.preventDefault();
+        this.navigateToPath(this.currentPath.slice(0, Number(link.dataset.depth)));
       });
-    }
+    });
     
-    breadcrumb.innerHTML = html;
+    document.getElementById('up-btn')?.classList.toggle('hidden',
+      this.currentView !== 'my-files' || this.currentPath.length === 0);
   }
 
   /**
@@ -720,7 +1140,8 @@ class DriveNestApp {
       'shared': 'Shared with me',
       'starred': 'Starred',
       'recent': 'Recent',
-      'trash': 'Trash'
+      'trash': 'Trash',
+      'cleanup': 'Clean up storage'
     };
     
     return titles[this.currentView] || 'My Files';
@@ -747,6 +1168,18 @@ class DriveNestApp {
       });
     });
     
+    document.getElementById('storage-cleanup-link')?.addEventListener('click', (e) => {
+      e.preventDefault();
+      this.switchView('cleanup');
+    });
+    
+    // Quota warning banner
+    document.getElementById('quota-banner-cleanup')?.addEventListener('click', (e) => {
+      e.preventDefault();
+      this.switchView('cleanup');
+    });
+    document.getElementById('quota-banner-dismiss')?.addEventListener('click', () => this.dismissQuotaWarning());
+    
     // Theme toggle
     document.getElementById('theme-toggle')?.addEventListener('click', () => {
       this.toggleTheme();
@@ -793,6 +1226,40 @@ class DriveNestApp {
       this.createNewFolder();
     });
     
+    document.getElementById('up-btn')?.addEventListener('click', () => {
+      this.navigateUp();
+    });
+    
+    // Selection actions bar
+    document.getElementById('download-selected-btn')?.addEventListener('click', () => {
+      this.keyboardManager.downloadSelectedFiles();
+    });
+    
+    document.getElementById('share-selected-btn')?.addEventListener('click', () => {
+      this.keyboardManager.shareSelectedFile();
+    });
+    
+    document.getElementById('star-selected-btn')?.addEventListener('click', () => {
+      this.keyboardManager.starSelectedFiles();
+    });
+    
+    document.getElementById('move-selected-btn')?.addEventListener('click', () => {
+      this.moveSelectedFiles();
+    });
+
+    document.getElementById('duplicate-selected-btn')?.addEventListener('click', () => {
+      this.duplicateSelectedFiles();
+    });
+
+    document.getElementById('extract-selected-btn')?.addEventListener('click', () => {
+      const [fileId] = this.selectedFiles;
+      if (fileId) this.extractArchive(fileId);
+    });
+    
+    document.getElementById('delete-selected-btn')?.addEventListener('click', () => {
+      this.keyboardManager.deleteSelectedFiles();
+    });
+    
     // User menu
     document.getElementById('user-menu-btn')?.addEventListener('click', () => {
       const dropdown = document.getElementById('user-dropdown');
@@ -803,6 +1270,8 @@ class DriveNestApp {
     document.getElementById('settings-btn')?.addEventListener('click', () => {
       document.getElementById('user-dropdown').classList.add('hidden');
       showModal('settings-modal');
+      if (this.user) this.storageAnalytics.show(this.user.uid);
+      this.maintenancePanel.reset();
     });
     
     // Modal close buttons
@@ -819,6 +1288,7 @@ class DriveNestApp {
     const renameBtn = document.getElementById('rename-btn');
     const moveBtn = document.getElementById('move-btn');
     const duplicateBtn = document.getElementById('duplicate-btn');
+    const extractBtn = document.getElementById('extract-btn');
     const deleteBtn = document.getElementById('delete-btn');
     const shareBtn = document.getElementById('share-btn');
 
@@ -828,6 +1298,7 @@ class DriveNestApp {
       renameBtn: !!renameBtn,
       moveBtn: !!moveBtn,
       duplicateBtn: !!duplicateBtn,
+      extractBtn: !!extractBtn,
       deleteBtn: !!deleteBtn,
       shareBtn: !!shareBtn
     });
@@ -865,6 +1336,12 @@ class DriveNestApp {
       if (fileId) await this.duplicateFile(fileId);
     });
 
+    extractBtn?.addEventListener('click', async () => {
+      console.log('Extract button clicked');
+      const fileId = this.getCurrentPreviewFileId();
+      if (fileId) await this.extractArchive(fileId);
+    });
+
     deleteBtn?.addEventListener('click', async () => {
       console.log('Delete button clicked');
       const fileId = this.getCurrentPreviewFileId();
@@ -888,6 +1365,11 @@ class DriveNestApp {
       });
     });
     
+    // Encrypted vault in settings
+    this.setupVaultSettings();
+
+    document.getElementById('recalculate-usage-btn')?.addEventListener('click', () => this.recalculateUsage());
+    
     // Theme selection in settings
     document.querySelectorAll('input[name="theme"]').forEach(radio => {
       radio.addEventListener('change', (e) => {
@@ -909,6 +1391,7 @@ class DriveNestApp {
   setupUploadModal() {
     const uploadArea = document.getElementById('upload-area');
     const fileInput = document.getElementById('file-input');
+    const folderInput = document.getElementById('folder-input');
     
     if (!uploadArea || !fileInput) {
       console.error('Upload elements not found');
@@ -922,11 +1405,29 @@ class DriveNestApp {
       }
     });
 
+    // Pick a whole folder; its structure is recreated under the current folder
+    document.getElementById('upload-folder-btn')?.addEventListener('click', () => {
+      folderInput?.click();
+    });
+
+    folderInput?.addEventListener('change', async (e) => {
+      const files = Array.from(e.target.files || []);
+      e.target.value = '';
+      if (files.length === 0) return;
+
+      hideModal('upload-modal');
+      await uploadHandler.handleFolderSelection(files, this.currentPath.join('/'));
+      await this.loadFiles();
+      await this.updateStorageInfo();
+    });
+
     // File selection handler
     fileInput.addEventListener('change', (e) => {
       if (e.target.files && e.target.files.length > 0) {
         this.handleFileSelection(Array.from(e.target.files));
       }
+      // Clear input so the same file can be selected again
+      e.target.value = '';
     });
 
     // Drag and drop functionality
@@ -947,14 +1448,17 @@ class DriveNestApp {
       }
     });
 
-    uploadArea.addEventListener('drop', (e) => {
+    uploadArea.addEventListener('drop', async (e) => {
       e.preventDefault();
       uploadArea.classList.remove('drag-over');
       
-      const files = Array.from(e.dataTransfer.files);
-      if (files.length > 0) {
-        this.handleFileSelection(files);
-      }
+      if (e.dataTransfer.files.length === 0) return;
+
+      // Dropped folders keep their structure
+      hideModal('upload-modal');
+      await uploadHandler.handleDrop(e.dataTransfer, this.currentPath.join('/'));
+      await this.loadFiles();
+      await this.updateStorageInfo();
     });
   }
 
@@ -964,8 +1468,8 @@ class DriveNestApp {
   async handleFileSelection(files) {
     console.log('Files selected for upload:', files);
     
-    // Filter files by size (1MB limit for free tier)
-    const maxSize = 1024 * 1024; // 1MB
+    // Filter files by size (user limit, capped by the storage backend)
+    const maxSize = quotaManager.getMaxFileSize(this.storageManager);
     const validFiles = [];
     const invalidFiles = [];
     
@@ -980,7 +1484,7 @@ class DriveNestApp {
     // Show warnings for oversized files
     if (invalidFiles.length > 0) {
       showToast(
-        `${invalidFiles.length} file(s) exceed the 1MB limit and will be skipped`,
+        `${invalidFiles.length} file(s) exceed the ${this.formatFileSize(maxSize)} limit and will be skipped`,
         'warning'
       );
     }
@@ -998,56 +1502,41 @@ class DriveNestApp {
    * Create a new folder
    */
   async createNewFolder() {
+    const user = authManager.getCurrentUser();
+    if (!user) return;
+
+    const folderName = await showInputDialog('New folder', 'Enter a name for the folder.', {
+      placeholder: 'Untitled folder'
+    });
+    if (!folderName) return;
+
     try {
-      const folderName = prompt('Enter folder name:');
-      if (!folderName) return;
-      
-      if (!folderName.trim()) {
-        showToast('Folder name cannot be empty', 'error');
-        return;
-      }
-      
-      // Create folder in Firestore
-      const folderData = {
-        name: folderName.trim(),
-        type: 'folder',
-        size: 0,
-        path: this.currentPath.join('/'),
-        created: new Date(),
-        modified: new Date(),
-        owner: authManager.getCurrentUser().uid,
-        shared: false,
-        starred: false
-      };
-      
-      await firestoreManager.saveFile(folderData);
+      await firestoreManager.createFolder(folderName, this.currentPath, user.uid);
       await this.loadFiles();
+      await this.updateStorageInfo();
       
       showToast(`Folder "${folderName}" created successfully`, 'success');
       
     } catch (error) {
       console.error('Failed to create folder:', error);
-      showToast('Failed to create folder', 'error');
+      showToast(`Failed to create folder: ${error.message}`, 'error');
     }
   }
 
   /**
-   * Upload files to Firestore storage
+   * Upload files through the upload handler, which reports progress and
+   * per-file results
    */
   async uploadFiles(files) {
     try {
-      // Use the imported upload handler
-      for (const file of files) {
-        await uploadHandler.uploadFile(file, this.currentPath.join('/'));
-      }
-      
+      // Close upload modal so the progress dialog is visible
+      hideModal('upload-modal');
+
+      await uploadHandler.uploadFiles(files, this.currentPath.join('/'));
+
       // Refresh file list after upload
       await this.loadFiles();
-      
-      // Close upload modal
-      hideModal('upload-modal');
-      
-      showToast(`Successfully uploaded ${files.length} file(s)`, 'success');
+      await this.updateStorageInfo();
       
     } catch (error) {
       console.error('Upload failed:', error);
@@ -1184,6 +1673,9 @@ class DriveNestApp {
    */
   handleSort(sortBy) {
     this.filteredFiles.sort((a, b) => {
+      const folderOrder = this.compareFoldersFirst(a, b);
+      if (folderOrder !== 0) return folderOrder;
+      
       switch (sortBy) {
         case 'name':
           return a.name.localeCompare(b.name);
@@ -1200,6 +1692,13 @@ class DriveNestApp {
     this.renderFiles();
   }
 
+  /**
+   * Sort comparator that lists folders before files and keeps the order otherwise
+   */
+  compareFoldersFirst(a, b) {
+    return (b.type === 'folder') - (a.type === 'folder');
+  }
+
   /**
    * Toggle star status of a file
    */
@@ -1241,37 +1740,169 @@ class DriveNestApp {
       const file = this.files.find(f => f.id === fileId);
       if (!file) return;
 
-      const newName = prompt('Enter new filename:', file.name);
+      const isFolder = file.type === 'folder';
+      const newName = prompt(isFolder ? 'Enter new folder name:' : 'Enter new filename:', file.name);
       if (!newName || newName === file.name) return;
 
       await firestoreManager.renameFile(fileId, newName, this.user.uid);
       
       // Update local file object
-      file.name = newName;
+      file.name = isFolder ? newName.trim() : newName;
       
       // Update UI
       this.renderFiles();
-      document.getElementById('preview-filename').textContent = newName;
+      document.getElementById('preview-filename').textContent = file.name;
+      if (isFolder) {
+        await this.folderTree.refresh();
+      }
       
-      showToast('File renamed successfully', 'success');
+      showToast(isFolder ? 'Folder renamed successfully' : 'File renamed successfully', 'success');
     } catch (error) {
       console.error('Error renaming file:', error);
-      showToast('Error renaming file', 'error');
+      showToast(error.code ? error.message : 'Error renaming file', 'error');
     }
   }
 
   /**
-   * Move a file (placeholder - would need folder selection UI)
+   * Move a file to a folder picked in the move dialog
    */
   async moveFile(fileId) {
-    showToast('Move functionality coming soon', 'info');
+    await this.moveItems([fileId]);
+  }
+
+  /**
+   * Move the selected files and folders
+   */
+  async moveSelectedFiles() {
+    await this.moveItems(Array.from(this.selectedFiles));
+  }
+
+  /**
+   * Ask for a destination and move files and folders there
+   * @param {string[]} fileIds IDs of the items to move
+   */
+  async moveItems(fileIds) {
+    const items = this.files.filter(file => fileIds.includes(file.id));
+    if (!this.user || items.length === 0) return;
+
+    const targetPath = await this.moveDialog.choose(items);
+    if (targetPath === null) return;
+
+    try {
+      if (items.length === 1) {
+        await firestoreManager.moveFile(items[0].id, targetPath, this.user.uid);
+      } else {
+        await firestoreManager.batchMoveFiles(items.map(item => item.id), targetPath, this.user.uid);
+      }
+
+      // The moved file is no longer in the folder being shown
+      if (fileIds.includes(this.getCurrentPreviewFileId())) {
+        hideModal('preview-modal');
+      }
+
+      const destination = splitPath(targetPath).pop() || 'My Files';
+      showToast(items.length === 1
+        ? `Moved "${items[0].name}" to "${destination}"`
+        : `Moved ${items.length} items to "${destination}"`, 'success');
+
+      this.selectedFiles.clear();
+      await this.loadFiles();
+      if (items.some(item => item.type === 'folder')) {
+        await this.folderTree.refresh();
+      }
+    } catch (error) {
+      console.error('Error moving files:', error);
+      showToast(`Could not move: ${error.message}`, 'error');
+    }
   }
 
   /**
-   * Duplicate a file (placeholder - would need duplication logic)
+   * Duplicate a file or folder next to the original
    */
   async duplicateFile(fileId) {
-    showToast('Duplicate functionality coming soon', 'info');
+    await this.duplicateItems([fileId]);
+  }
+
+  /**
+   * Duplicate the selected files and folders
+   */
+  async duplicateSelectedFiles() {
+    await this.duplicateItems(Array.from(this.selectedFiles));
+  }
+
+  /**
+   * Copy files and folders into the folders they are in, folders with
+   * everything inside them
+   * @param {string[]} fileIds IDs of the items to duplicate
+   */
+  async duplicateItems(fileIds) {
+    const items = this.files.filter(file => fileIds.includes(file.id));
+    if (!this.user || items.length === 0) return;
+
+    const hasFolders = items.some(item => item.type === 'folder');
+    const progress = items.length > 1 || hasFolders
+      ? showProgress('Duplicating', items.length === 1 ? `Copying "${items[0].name}"...` : `Copying ${items.length} items...`)
+      : null;
+
+    try {
+      const copies = await duplicateManager.duplicate(items, this.user.uid, (copied, total, item) => {
+        progress?.setMessage(`Copying "${item.name}"...`);
+        progress?.update((copied / total) * 100);
+      });
+
+      showToast(copies.length === 1
+        ? `Created "${copies[0].name}"`
+        : `Duplicated ${copies.length} items`, 'success');
+
+      this.selectedFiles.clear();
+      await this.loadFiles();
+      this.updateStorageInfo();
+      if (hasFolders) {
+        await this.folderTree.refresh();
+      }
+    } catch (error) {
+      console.error('Error duplicating files:', error);
+      showToast(`Could not duplicate: ${error.message}`, 'error');
+      // Part of a folder may have been copied before the error
+      await this.loadFiles();
+    } finally {
+      progress?.close();
+    }
+  }
+
+  /**
+   * Unpack a ZIP archive into a new folder next to it
+   * @param {string} fileId ID of the archive
+   */
+  async extractArchive(fileId) {
+    const file = this.files.find(f => f.id === fileId);
+    if (!this.user || !this.canExtract(file)) return;
+
+    const progress = showProgress(`Extracting "${file.name}"`, 'Reading archive...');
+    try {
+      const result = await extractManager.extract(file, this.user.uid, (done, total, name) => {
+        if (name) progress.setMessage(`Extracting "${name}"...`);
+        progress.update(total > 0 ? (done / total) * 100 : 100);
+      });
+      const folderName = result.folder?.name || file.name;
+
+      if (result.skipped.length > 0) {
+        const names = result.skipped.slice(0, 3).map(entry => `"${entry.name}" (${entry.reason})`).join(', ');
+        const more = result.skipped.length > 3 ? ` and ${result.skipped.length - 3} more` : '';
+        showToast(`Extracted ${result.extracted} file(s) to "${folderName}"; ${result.skipped.length} skipped: ${names}${more}`, 'warning', 8000);
+      } else {
+        showToast(`Extracted ${result.extracted} file(s) to "${folderName}"`, 'success');
+      }
+    } catch (error) {
+      console.error('Error extracting archive:', error);
+      showToast(`Could not extract "${file.name}": ${error.message}`, 'error');
+    } finally {
+      progress.close();
+      // Part of the archive may have been extracted before an error
+      await this.loadFiles();
+      this.updateStorageInfo();
+      await this.folderTree.refresh();
+    }
   }
 
   /**
@@ -1282,7 +1913,11 @@ class DriveNestApp {
       const file = this.files.find(f => f.id === fileId);
       if (!file) return;
 
-      if (!confirm(`Are you sure you want to delete "${file.name}"?`)) return;
+      const isFolder = file.type === 'folder';
+      const question = isFolder
+        ? `Are you sure you want to delete "${file.name}" and everything in it?`
+        : `Are you sure you want to delete "${file.name}"?`;
+      if (!confirm(question)) return;
 
       await firestoreManager.trashFile(fileId, this.user.uid);
       
@@ -1295,8 +1930,12 @@ class DriveNestApp {
       
       // Update UI
       this.renderFiles();
+      this.updateStorageInfo();
+      if (isFolder) {
+        this.folderTree.refresh();
+      }
       
-      showToast('File moved to trash', 'success');
+      showToast(isFolder ? 'Folder moved to trash' : 'File moved to trash', 'success');
     } catch (error) {
       console.error('Error deleting file:', error);
       showToast('Error deleting file', 'error');
@@ -0,0 +1,187 @@
+/**
+ * Drive Nest - Content Codec Module
+ * Turns file content into the bytes a storage backend keeps and back:
+ * compressible types are gzipped with CompressionStream, then encrypted
+ * when the user has a vault. Backends only ever see the encoded bytes.
+ */
+
+import vaultManager from './vault.js';
+
+const COMPRESSIBLE_TYPES = new Set([
+  'application/json',
+  'application/xml',
+  'application/javascript',
+  'application/x-javascript',
+  'application/x-ndjson',
+  'application/x-yaml',
+  'application/x-sh',
+  'image/svg+xml'
+]);
+
+const COMPRESSIBLE_EXTENSIONS = new Set([
+  'txt', 'log', 'csv', 'tsv', 'json', 'ndjson', 'xml', 'svg', 'md', 'markdown',
+  'html', 'htm', 'css', 'js', 'mjs', 'ts', 'yaml', 'yml', 'ini', 'conf', 'sql', 'sh'
+]);
+
+// Marks checksums keyed with the vault (see checksum)
+const KEYED_HASH_PREFIX = 'hmac-sha256:';
+
+class ContentCodec {
+  constructor() {
+    this.supportsCompression = typeof CompressionStream !== 'undefined' &&
+      typeof DecompressionStream !== 'undefined';
+  }
+
+  /**
+   * Check whether a file is worth compressing
+   * @param {File|Object} file File or file document (name, type)
+   * @returns {boolean} True for text-like content
+   */
+  isCompressible(file) {
+    if (!this.supportsCompression) return false;
+
+    const type = (file.type || '').split(';')[0].trim().toLowerCase();
+    if (type.startsWith('text/') || COMPRESSIBLE_TYPES.has(type)) return true;
+
+    const extension = file.name?.includes('.') ? file.name.split('.').pop().toLowerCase() : '';
+    return COMPRESSIBLE_EXTENSIONS.has(extension);
+  }
+
+  /**
+   * Encode file content for storage
+   * @param {File} file Original file
+   * @param {Object} [options] Options
+   * @param {string} [options.iv] Encryption IV to reuse (resuming an upload)
+   * @returns {Promise<Object>} `{ blob, compression, encrypted, iv, originalSize, storedSize }`
+   */
+  async encode(file, options = {}) {
+    let blob = file;
+    let compression = '';
+
+    if (this.isCompressible(file)) {
+      const compressed = await this.gzip(file);
+      // Already-compressed or tiny content can grow; keep whichever is smaller
+      if (compressed.size < file.size) {
+        blob = compressed;
+        compression = 'gzip';
+      }
+    }
+
+    const encryption = await vaultManager.encryptForUpload(blob, options.iv);
+
+    return {
+      blob: encryption.blob,
+      compression,
+      encrypted: encryption.encrypted,
+      iv: encryption.iv,
+      originalSize: file.size,
+      storedSize: encryption.blob.size
+    };
+  }
+
+  /**
+   * Decode stored content back into the original file content and check it
+   * against the checksum recorded at upload
+   * @param {Blob} blob Stored content
+   * @param {Object} fileDoc File document (encrypted, iv, compression, type, contentHash)
+   * @returns {Promise<Blob>} Original content
+   * @throws {Error} With code 'file-corrupted' if the content is damaged
+   */
+  async decode(blob, fileDoc) {
+    const type = fileDoc.type || blob.type;
+    let content = await vaultManager.decryptContent(blob, fileDoc);
+
+    if (fileDoc.compression === 'gzip') {
+      try {
+        content = await this.gunzip(content);
+      } catch (error) {
+        if (!this.supportsCompression) throw error;
+        throw this.createCorruptedError('its compressed data is invalid');
+      }
+    }
+
+    const decoded = content.type === type ? content : new Blob([content], { type });
+    await this.verify(decoded, fileDoc);
+    return decoded;
+  }
+
+  /**
+   * Compare content with the checksum recorded at upload. Files uploaded
+   * before checksums were recorded are accepted as-is.
+   * @param {Blob} blob Original content
+   * @param {Object} fileDoc File document (contentHash)
+   * @returns {Promise<void>}
+   * @throws {Error} With code 'file-corrupted' on mismatch
+   */
+  async verify(blob, fileDoc) {
+    if (!fileDoc.contentHash) return;
+
+    const hash = fileDoc.contentHash.startsWith(KEYED_HASH_PREFIX)
+      ? await this.checksum(blob, true)
+      : await this.hash(blob);
+    if (hash !== fileDoc.contentHash) {
+      console.error('Checksum mismatch for file:', fileDoc.id, { expected: fileDoc.contentHash, actual: hash });
+      throw this.createCorruptedError('its content does not match the checksum recorded at upload');
+    }
+  }
+
+  /**
+   * @param {string} reason What is wrong with the content
+   * @returns {Error} Error with code 'file-corrupted'
+   */
+  createCorruptedError(reason) {
+    const error = new Error(`File is corrupted: ${reason}`);
+    error.code = 'file-corrupted';
+    return error;
+  }
+
+  /**
+   * Checksum recorded at upload, used for deduplication and integrity
+   * checks. Content going into the vault gets a keyed checksum, since a
+   * plain hash stored next to encrypted content gives the content away.
+   * @param {Blob} blob Original content
+   * @param {boolean} [keyed] Whether to key it, by default when the user has a vault
+   * @returns {Promise<string>} Checksum
+   */
+  async checksum(blob, keyed = vaultManager.isConfigured()) {
+    return keyed ? `${KEYED_HASH_PREFIX}${await vaultManager.hmac(blob)}` : this.hash(blob);
+  }
+
+  /**
+   * SHA-256 of content
+   * @param {Blob} blob Content
+   * @returns {Promise<string>} Lowercase hex digest
+   */
+  async hash(blob) {
+    const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * @param {Blob} blob Content to compress
+   * @returns {Promise<Blob>} Gzipped content
+   */
+  async gzip(blob) {
+    const stream = blob.stream().pipeThrough(new CompressionStream('gzip'));
+    return new Response(stream).blob();
+  }
+
+  /**
+   * @param {Blob} blob Gzipped content
+   * @returns {Promise<Blob>} Decompressed content
+   */
+  async gunzip(blob) {
+    if (!this.supportsCompression) {
+      throw new Error('This browser cannot decompress this file');
+    }
+
+    const stream = blob.stream().pipeThrough(new DecompressionStream('gzip'));
+    return new Response(stream).blob();
+  }
+}
+
+// Create and export content codec instance
+const contentCodec = new ContentCodec();
+
+export { contentCodec };
+export default contentCodec;
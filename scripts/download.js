@@ -0,0 +1,276 @@
+/**
+ * Drive Nest - Download Module
+ * Downloads several files, or whole folders, as one ZIP archive built in
+ * the browser (see zip.js). Where the File System Access API is available
+ * the archive is streamed straight to the file the user picks; elsewhere
+ * it is collected into a Blob, which browsers can keep on disk. Large files
+ * kept in Firestore are read a chunk at a time; other files (encrypted ones,
+ * and those in Firebase Storage) are read whole before they are added.
+ */
+
+import firestoreManager from './firestore.js';
+import { getStorageBackend } from './storage-backend.js';
+import ZipWriter from './zip.js';
+import { normalizePath, joinPath, getFolderPath, isWithinPath } from './paths.js';
+
+// Bytes collected before they are added to the archive Blob (no streaming)
+const BLOB_FLUSH_SIZE = 8 * 1024 * 1024;
+
+class DownloadManager {
+  /**
+   * Download items as a ZIP archive, keeping folder structure
+   * @param {Array} items File and folder documents
+   * @param {string} userId Owner user ID
+   * @param {function(number, number, Object)} [onProgress] Called as content
+   *   is read with (bytesDone, totalBytes, file)
+   * @returns {Promise<Object|null>} `{ fileName, fileCount, skipped }`, or null
+   *   if the user cancelled choosing where to save. skipped lists
+   *   `{ name, reason }` for files whose content couldn't be read.
+   */
+  async downloadZip(items, userId, onProgress) {
+    const fileName = this.getArchiveName(items);
+
+    // Ask where to save first, while the click still counts as user activation
+    const sink = await this.createSink(fileName);
+    if (!sink) return null;
+
+    try {
+      const entries = await this.collectEntries(items, userId);
+      const totalBytes = entries.reduce((sum, entry) => sum + (entry.file.type === 'folder' ? 0 : entry.file.size || 0), 0);
+      const zip = new ZipWriter(sink);
+      const skipped = [];
+      let bytesDone = 0;
+      let fileCount = 0;
+
+      for (const { file, path } of entries) {
+        if (file.type === 'folder') {
+          await zip.addFolder(path, { modified: file.modified });
+          continue;
+        }
+
+        onProgress?.(bytesDone, totalBytes, file);
+        const wasCached = this.isContentCached(file);
+        try {
+          const stream = await this.openContent(file);
+          await zip.addFile(path, stream, {
+            modified: file.modified,
+            type: file.type,
+            onData: (size) => {
+              bytesDone += size;
+              onProgress?.(bytesDone, totalBytes, file);
+            }
+          });
+          fileCount++;
+        } catch (error) {
+          // An entry that failed after writing started would leave the
+          // archive unreadable, so only skip files that failed to open
+          if (!error.beforeWrite) throw error;
+          console.warn('Skipping file in ZIP:', file.name, error);
+          skipped.push({ name: path, reason: error.code === 'file-corrupted' ? 'corrupted' : error.message });
+        } finally {
+          // Content opened elsewhere (e.g. a preview) stays cached
+          if (!wasCached) this.releaseContent(file);
+        }
+      }
+
+      await zip.close();
+      return { fileName, fileCount, skipped };
+    } catch (error) {
+      console.error('Error creating ZIP download:', error);
+      await sink.abort?.().catch(() => {});
+      throw error;
+    }
+  }
+
+  /**
+   * Every file and folder the archive holds, with its path inside the
+   * archive. A folder's contents go under the folder's name.
+   * @param {Array} items File and folder documents
+   * @param {string} userId Owner user ID
+   * @returns {Promise<Array<{file: Object, path: string}>>} Entries, folders first
+   */
+  async collectEntries(items, userId) {
+    const folders = items.filter(item => item.type === 'folder');
+    const allFiles = folders.length > 0
+      ? (await firestoreManager.getAllUserFiles(userId)).filter(file => !file.trashed)
+      : [];
+
+    // Items inside a selected folder are included through that folder
+    const folderPaths = folders.map(getFolderPath);
+    const roots = items.filter(item => !folderPaths.some(path => isWithinPath(item.path, path)));
+
+    const entries = [];
+    const used = new Set();
+    const add = (file, path) => {
+      entries.push({ file, path: this.getUniquePath(path, used) });
+    };
+
+    roots.forEach(root => {
+      if (root.type !== 'folder') {
+        add(root, root.name);
+        return;
+      }
+
+      const folderPath = getFolderPath(root);
+      const rootName = this.getUniquePath(root.name, used);
+      entries.push({ file: root, path: rootName });
+
+      allFiles
+        .filter(file => isWithinPath(file.path, folderPath))
+        .sort((a, b) => (a.type === 'folder' ? 0 : 1) - (b.type === 'folder' ? 0 : 1) ||
+          normalizePath(a.path).localeCompare(normalizePath(b.path)))
+        .forEach(file => {
+          const relative = normalizePath(file.path).slice(folderPath.length + 1);
+          add(file, joinPath(joinPath(rootName, relative), file.name));
+        });
+    });
+
+    return entries;
+  }
+
+  /**
+   * Number a path if it is already in the archive ("name (2).ext")
+   * @param {string} path Path inside the archive
+   * @param {Set<string>} used Paths already taken, lowercased
+   * @returns {string} Unused path, which is added to used
+   */
+  getUniquePath(path, used) {
+    const slash = path.lastIndexOf('/');
+    const folder = path.slice(0, slash + 1);
+    const name = path.slice(slash + 1);
+    const dot = name.lastIndexOf('.');
+    const base = dot > 0 ? name.slice(0, dot) : name;
+    const extension = dot > 0 ? name.slice(dot) : '';
+
+    let candidate = path;
+    for (let number = 2; used.has(candidate.toLowerCase()); number++) {
+      candidate = `${folder}${base} (${number})${extension}`;
+    }
+    used.add(candidate.toLowerCase());
+    return candidate;
+  }
+
+  /**
+   * @param {Array} items File and folder documents
+   * @returns {string} Archive file name
+   */
+  getArchiveName(items) {
+    if (items.length === 1) {
+      return `${items[0].name}.zip`;
+    }
+    return `Drive Nest ${new Date().toISOString().slice(0, 10)}.zip`;
+  }
+
+  /**
+   * Open a file's content as a stream, straight from the backend where it
+   * can stream it and through a Blob URL of the whole content otherwise
+   * @param {Object} file File document
+   * @returns {Promise<ReadableStream<Uint8Array>>} Content
+   * @throws {Error} Marked beforeWrite, since nothing was added to the archive yet
+   */
+  async openContent(file) {
+    try {
+      const backend = getStorageBackend(file.backend || 'firestore');
+      const stream = await backend.openContentStream?.(file.id);
+      if (stream) return stream;
+
+      const url = await backend.getDownloadURL(file.id);
+      const response = await fetch(url);
+      if (!response.ok || !response.body) {
+        throw new Error(`Download failed (${response.status})`);
+      }
+      return response.body;
+    } catch (error) {
+      error.beforeWrite = true;
+      throw error;
+    }
+  }
+
+  /**
+   * @param {Object} file File document
+   * @returns {boolean} True if the backend already holds a Blob URL for the file
+   */
+  isContentCached(file) {
+    return Boolean(getStorageBackend(file.backend || 'firestore').objectURLs?.has(file.id));
+  }
+
+  /**
+   * Drop the cached Blob URL of a file that was read into the archive, so a
+   * large archive doesn't keep every file in memory
+   * @param {Object} file File document
+   */
+  releaseContent(file) {
+    getStorageBackend(file.backend || 'firestore').revokeObjectURL?.(file.id);
+  }
+
+  /**
+   * Where the archive is written
+   * @param {string} fileName Suggested file name
+   * @returns {Promise<Object|null>} Sink for ZipWriter (with abort), or null
+   *   if the user cancelled the save dialog
+   */
+  async createSink(fileName) {
+    if (typeof window.showSaveFilePicker === 'function') {
+      try {
+        const handle = await window.showSaveFilePicker({
+          suggestedName: fileName,
+          types: [{ description: 'ZIP archive', accept: { 'application/zip': ['.zip'] } }]
+        });
+        const writable = await handle.createWritable();
+        return {
+          write: (bytes) => writable.write(bytes),
+          close: () => writable.close(),
+          abort: () => writable.abort()
+        };
+      } catch (error) {
+        if (error.name === 'AbortError') return null;
+        // Not allowed here (e.g. no user activation); fall back to a Blob
+        console.warn('Could not open a file to stream the ZIP to:', error);
+      }
+    }
+
+    // Pending bytes are folded into the Blob every few megabytes, so they
+    // don't pile up as separate arrays in memory
+    let blob = new Blob([], { type: 'application/zip' });
+    let parts = [];
+    let pendingBytes = 0;
+    const flush = () => {
+      blob = new Blob([blob, ...parts], { type: 'application/zip' });
+      parts = [];
+      pendingBytes = 0;
+    };
+
+    return {
+      write: async (bytes) => {
+        parts.push(bytes);
+        pendingBytes += bytes.length;
+        if (pendingBytes >= BLOB_FLUSH_SIZE) flush();
+      },
+      close: async () => {
+        flush();
+        const url = URL.createObjectURL(blob);
+        blob = null;
+
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = fileName;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+
+        // Give the browser time to start the download
+        setTimeout(() => URL.revokeObjectURL(url), 60 * 1000);
+      },
+      abort: async () => {
+        parts = [];
+        blob = null;
+      }
+    };
+  }
+}
+
+// Create and export download manager instance
+const downloadManager = new DownloadManager();
+
+export { downloadManager };
+export default downloadManager;
@@ -0,0 +1,245 @@
+/**
+ * Drive Nest - Duplicate Module
+ * Copies files and folders next to the originals as "Copy of ...". A copy
+ * references the original's content in fileContents instead of storing it
+ * again; content kept anywhere else is downloaded and uploaded as a new file.
+ * Folders are copied with everything inside them.
+ */
+
+import firestoreManager from './firestore.js';
+import storageBackend, { getStorageBackend } from './storage-backend.js';
+import quotaManager from './quota.js';
+import { normalizePath, splitPath, getFolderPath, isWithinPath } from './paths.js';
+
+class DuplicateManager {
+  /**
+   * Duplicate items in the folders they are in
+   * @param {Array} items File and folder documents
+   * @param {string} userId Owner user ID
+   * @param {function(number, number, Object)} [onProgress] Called after each
+   *   copied item with (copied, total, item)
+   * @returns {Promise<Array>} The copies of the items themselves
+   */
+  async duplicate(items, userId, onProgress) {
+    if (firestoreManager.isDemoMode) {
+      console.log('Demo Mode: Duplicating', items.map(item => item.name));
+      return [];
+    }
+
+    try {
+      const liveFiles = (await firestoreManager.getAllUserFiles(userId)).filter(file => !file.trashed);
+
+      // Items inside a folder that is copied as well come along with it
+      const folderPaths = items.filter(item => item.type === 'folder').map(getFolderPath);
+      const roots = items.filter(item => !folderPaths.some(path => isWithinPath(item.path, path)));
+      const plan = roots.map(root => ({
+        root,
+        contents: root.type === 'folder' ? this.getContents(root, liveFiles) : []
+      }));
+
+      const total = plan.reduce((sum, entry) => sum + 1 + entry.contents.length, 0);
+
+      // Shared content isn't charged again, so only copies stored anew
+      // count against the space left
+      const copiedBytes = this.getCopiedBytes(plan.flatMap(entry => [entry.root, ...entry.contents]));
+      const { remaining } = await quotaManager.getRemaining(userId);
+      if (copiedBytes > remaining) {
+        const error = new Error(`These copies store ${quotaManager.formatFileSize(copiedBytes)} again, ` +
+          `but only ${quotaManager.formatFileSize(remaining)} of your storage is left`);
+        error.code = 'quota-exceeded';
+        throw error;
+      }
+
+      let copied = 0;
+      const report = (item) => {
+        copied++;
+        onProgress?.(copied, total, item);
+      };
+
+      const copies = [];
+      for (const { root, contents } of plan) {
+        const name = this.getCopyName(root.name, liveFiles, root.path);
+        const copy = root.type === 'folder'
+          ? await this.copyFolder(root, name, contents, userId, report)
+          : await this.copyFile(root, name, normalizePath(root.path), userId);
+
+        if (root.type !== 'folder') report(root);
+        liveFiles.push(copy);
+        copies.push(copy);
+
+        await firestoreManager.logActivity({
+          userId,
+          action: 'duplicate',
+          fileName: copy.name,
+          fileSize: copy.size || 0,
+          timestamp: new Date()
+        });
+      }
+
+      return copies;
+    } catch (error) {
+      console.error('Error duplicating items:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Everything inside a folder, folders before files and parents before
+   * children, so a copy is never written before the folder it goes in
+   * @param {Object} folder Folder document
+   * @param {Array} files The user's files
+   * @returns {Array} Folder contents
+   */
+  getContents(folder, files) {
+    const folderPath = getFolderPath(folder);
+    const depth = (file) => splitPath(file.path).length;
+
+    return files
+      .filter(file => isWithinPath(file.path, folderPath))
+      .sort((a, b) => (a.type === 'folder' ? 0 : 1) - (b.type === 'folder' ? 0 : 1) || depth(a) - depth(b));
+  }
+
+  /**
+   * Bytes the copies will store. Content in fileContents is shared and
+   * charged once, however many files use it, so only files without a
+   * contentId are stored again.
+   * @param {Array} files Items to copy
+   * @returns {number} Bytes
+   */
+  getCopiedBytes(files) {
+    return files
+      .filter(file => file.type !== 'folder' && !file.contentId)
+      .reduce((sum, file) => sum + (file.storedSize || file.size || 0), 0);
+  }
+
+  /**
+   * "Copy of X", numbered when that name is taken in the folder
+   * @param {string} name Original name
+   * @param {Array} files The user's files
+   * @param {string} path Folder the copy goes in
+   * @returns {string} Unused name
+   */
+  getCopyName(name, files, path) {
+    const folderPath = normalizePath(path);
+    const taken = new Set(files
+      .filter(file => normalizePath(file.path) === folderPath)
+      .map(file => file.name.toLowerCase()));
+
+    const extension = name.lastIndexOf('.') > 0 ? name.slice(name.lastIndexOf('.')) : '';
+    const base = `Copy of ${name.slice(0, name.length - extension.length)}`;
+
+    let candidate = `${base}${extension}`;
+    for (let number = 2; taken.has(candidate.toLowerCase()); number++) {
+      candidate = `${base} (${number})${extension}`;
+    }
+    return candidate;
+  }
+
+  /**
+   * Copy a folder and everything inside it
+   * @param {Object} folder Folder document
+   * @param {string} name Name of the copy
+   * @param {Array} contents Folder contents (see getContents)
+   * @param {string} userId Owner user ID
+   * @param {function(Object)} report Progress callback per copied item
+   * @returns {Promise<Object>} The new folder document
+   */
+  async copyFolder(folder, name, contents, userId, report) {
+    const copy = await firestoreManager.createFolder(name, folder.path, userId);
+    report(folder);
+
+    const oldFolderPath = getFolderPath(folder);
+    const newFolderPath = getFolderPath(copy);
+
+    for (const item of contents) {
+      const path = newFolderPath + normalizePath(item.path).slice(oldFolderPath.length);
+
+      if (item.type === 'folder') {
+        // Names inside the copy can't clash, they are the originals' names
+        await firestoreManager.saveFile(firestoreManager.createFolderDoc(item.name, path, userId));
+      } else {
+        await this.copyFile(item, item.name, path, userId);
+      }
+      report(item);
+    }
+
+    return copy;
+  }
+
+  /**
+   * Copy a file, sharing its content when it lives in fileContents
+   * @param {Object} file File document
+   * @param {string} name Name of the copy
+   * @param {string} path Folder the copy goes in
+   * @param {string} userId Owner user ID
+   * @returns {Promise<Object>} The new file document
+   */
+  async copyFile(file, name, path, userId) {
+    const content = file.contentId && await firestoreManager.acquireFileContent(file.contentId);
+    if (!content) {
+      return this.copyContent(file, name, path);
+    }
+
+    // Same stored bytes, so compression, encryption and IV carry over
+    const copy = {
+      id: firestoreManager.generateFileId(),
+      name,
+      size: file.size,
+      originalSize: file.originalSize,
+      storedSize: file.storedSize,
+      compression: file.compression,
+      contentHash: file.contentHash,
+      type: file.type,
+      backend: file.backend,
+      contentId: file.contentId,
+      encrypted: file.encrypted,
+      iv: file.iv,
+      path,
+      uploadedBy: userId,
+      ownerId: userId,
+      uploadedAt: new Date(),
+      created: new Date(),
+      modified: new Date(),
+      starred: false,
+      trashed: false,
+      version: 1,
+      tags: file.tags || [],
+      sharedWith: []
+    };
+
+    try {
+      await firestoreManager.saveFile(copy);
+    } catch (error) {
+      await firestoreManager.releaseFileContent(file.contentId).catch(() => {});
+      throw error;
+    }
+
+    return copy;
+  }
+
+  /**
+   * Download a file and upload the bytes as a new file
+   * @param {Object} file File document
+   * @param {string} name Name of the copy
+   * @param {string} path Folder the copy goes in
+   * @returns {Promise<Object>} The new file document
+   */
+  async copyContent(file, name, path) {
+    const url = await getStorageBackend(file.backend || 'firestore').getDownloadURL(file.id);
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Could not read "${file.name}" (${response.status})`);
+    }
+
+    const blob = await response.blob();
+    const result = await storageBackend.uploadFile(new File([blob], name, { type: file.type || blob.type }), path);
+
+    return { ...file, id: result.ref, name, path, starred: false, sharedWith: [] };
+  }
+}
+
+// Create and export duplicate manager instance
+const duplicateManager = new DuplicateManager();
+
+export { duplicateManager };
+export default duplicateManager;
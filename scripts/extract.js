@@ -0,0 +1,222 @@
+/**
+ * Drive Nest - Extract Module
+ * Unpacks an uploaded ZIP archive in the browser into a new folder next to
+ * it, named after the archive. Each entry goes through the same checks as
+ * an upload; entries that can't be unpacked or don't fit are skipped and
+ * reported instead of stopping the rest.
+ */
+
+import firestoreManager from './firestore.js';
+import storageBackend, { getStorageBackend } from './storage-backend.js';
+import uploadHandler from './upload.js';
+import quotaManager from './quota.js';
+import { ZipReader } from './zip.js';
+import { getFolderPath } from './paths.js';
+
+const ZIP_TYPES = new Set(['application/zip', 'application/x-zip-compressed']);
+// Metadata folder macOS adds to archives it creates
+const MACOS_METADATA = '__macosx';
+
+class ExtractManager {
+  /**
+   * @param {Object} file File document
+   * @returns {boolean} True if the file is a ZIP archive
+   */
+  isArchive(file) {
+    if (!file || file.type === 'folder') return false;
+    return ZIP_TYPES.has(file.type) || /\.zip$/i.test(file.name || '');
+  }
+
+  /**
+   * Extract an archive into a new folder in the folder it is in
+   * @param {Object} file Archive file document
+   * @param {string} userId Owner user ID
+   * @param {function(number, number, string)} [onProgress] Called before
+   *   each entry with (entriesDone, totalEntries, entryName)
+   * @returns {Promise<Object>} `{ folder, extracted, skipped }`: the new
+   *   folder document, the number of files extracted, and `{ name, reason }`
+   *   for each entry that was skipped
+   */
+  async extract(file, userId, onProgress) {
+    if (firestoreManager.isDemoMode) {
+      console.log('Demo Mode: Extracting', file.name);
+      return { folder: null, extracted: 0, skipped: [] };
+    }
+
+    try {
+      const archive = await this.readArchive(file);
+      const reader = new ZipReader(archive);
+      const skipped = [];
+
+      const files = [];
+      const folders = [];
+      (await reader.getEntries()).forEach(entry => {
+        const path = this.getEntryPath(entry.name);
+        if (path === null) {
+          skipped.push({ name: entry.name, reason: 'unsafe path' });
+        } else if (path && path.split('/')[0].toLowerCase() !== MACOS_METADATA) {
+          (entry.isFolder ? folders : files).push({ entry, path });
+        }
+      });
+
+      // Listed sizes are enforced while reading, so an archive that won't
+      // fit in the space left isn't started rather than left half-extracted
+      const totalSize = files.reduce((sum, { entry }) => sum + entry.size, 0);
+      const { remaining } = await quotaManager.getRemaining(userId);
+      if (totalSize > remaining) {
+        const error = new Error(`"${file.name}" unpacks to ${quotaManager.formatFileSize(totalSize)}, ` +
+          `but only ${quotaManager.formatFileSize(remaining)} of your storage is left`);
+        error.code = 'archive-too-large';
+        throw error;
+      }
+
+      const folder = await this.createTargetFolder(file, userId);
+      const folderPaths = await firestoreManager.createFolderPaths(
+        getFolderPath(folder),
+        [...folders.map(({ path }) => path), ...files.map(({ path }) => this.getParent(path))],
+        userId
+      );
+
+      let extracted = 0;
+      for (const [index, { entry, path }] of files.entries()) {
+        onProgress?.(index, files.length, path);
+        const reason = await this.extractEntry(reader, entry, path, folderPaths);
+        if (reason) {
+          skipped.push({ name: path, reason });
+        } else {
+          extracted++;
+        }
+      }
+      onProgress?.(files.length, files.length, '');
+
+      await firestoreManager.logActivity({
+        userId,
+        action: 'extract',
+        fileName: file.name,
+        fileSize: file.size || 0,
+        timestamp: new Date()
+      });
+
+      return { folder, extracted, skipped };
+    } catch (error) {
+      console.error('Error extracting archive:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Unpack one file and upload it
+   * @param {ZipReader} reader Archive reader
+   * @param {Object} entry Archive entry
+   * @param {string} path Entry path inside the archive
+   * @param {Map<string, string>} folderPaths Folders from createFolderPaths
+   * @returns {Promise<string|null>} Why the entry was skipped, or null
+   */
+  async extractEntry(reader, entry, path, folderPaths) {
+    const name = path.split('/').pop();
+    const type = this.getType(name);
+
+    // Checked on the listed size first, compressible or not, so nothing too
+    // large is unpacked (readEntry stops at the listed size)
+    const maxFileSize = quotaManager.getMaxFileSize(storageBackend);
+    if (entry.size > maxFileSize) {
+      return `File size exceeds ${quotaManager.formatFileSize(maxFileSize)} limit`;
+    }
+
+    const validation = uploadHandler.validateFile({ name, size: entry.size, type });
+    if (!validation.valid) return validation.reason;
+
+    let content;
+    try {
+      content = new File([await reader.readEntry(entry)], name, { type, lastModified: entry.modified.getTime() });
+    } catch (error) {
+      if (error.code === 'encrypted') return 'password protected';
+      if (error.code === 'unsupported-method') return 'unsupported compression';
+      if (error.code === 'file-corrupted') return 'corrupted';
+      throw error;
+    }
+
+    try {
+      // The backend checks the file size limit and quota itself
+      await storageBackend.uploadFile(content, folderPaths.get(this.getParent(path)));
+      return null;
+    } catch (error) {
+      console.warn('Skipping archive entry:', path, error);
+      return error.message;
+    }
+  }
+
+  /**
+   * @param {Object} file Archive file document
+   * @returns {Promise<Blob>} Archive content
+   */
+  async readArchive(file) {
+    const url = await getStorageBackend(file.backend || 'firestore').getDownloadURL(file.id);
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Could not read "${file.name}" (${response.status})`);
+    }
+    return response.blob();
+  }
+
+  /**
+   * Create the folder the archive is extracted into, numbering its name
+   * when a folder of that name is already there
+   * @param {Object} file Archive file document
+   * @param {string} userId Owner user ID
+   * @returns {Promise<Object>} The new folder document
+   */
+  async createTargetFolder(file, userId) {
+    const base = file.name.replace(/\.zip$/i, '').trim() || 'Archive';
+
+    for (let number = 1; ; number++) {
+      try {
+        return await firestoreManager.createFolder(number === 1 ? base : `${base} (${number})`, file.path, userId);
+      } catch (error) {
+        if (error.code !== 'folder-exists') throw error;
+      }
+    }
+  }
+
+  /**
+   * Clean up a path from the archive. Empty and '.' segments are dropped;
+   * paths climbing out with '..' (or rooted elsewhere) are refused.
+   * @param {string} name Entry name
+   * @returns {string|null} Relative path ('' for the root), or null if unsafe
+   */
+  getEntryPath(name) {
+    if (/^[a-z]:/i.test(name)) return null;
+
+    const segments = name.split(/[\\/]/).map(segment => segment.trim()).filter(segment => segment && segment !== '.');
+    if (segments.includes('..')) return null;
+    return segments.join('/');
+  }
+
+  /**
+   * @param {string} path Relative path
+   * @returns {string} Path of the folder it is in ('' at the top)
+   */
+  getParent(path) {
+    const slash = path.lastIndexOf('/');
+    return slash === -1 ? '' : path.slice(0, slash);
+  }
+
+  /**
+   * Archives don't record MIME types, so guess one from the extension
+   * @param {string} name File name
+   * @returns {string} MIME type, or '' if unknown
+   */
+  getType(name) {
+    const dot = name.lastIndexOf('.');
+    if (dot <= 0) return '';
+
+    const type = getStorageBackend('firestore').getMimeType(name.slice(dot + 1));
+    return type === 'application/octet-stream' ? '' : type;
+  }
+}
+
+// Create and export extract manager instance
+const extractManager = new ExtractManager();
+
+export { extractManager };
+export default extractManager;
@@ -24,7 +24,16 @@ export const firebaseConfig = {
 
 // Storage configuration
 export const storageConfig = {
-  // Maximum file size in bytes (100MB default)
+  // Where file content is kept: 'firestore' (chunked documents, free tier),
+  // 'storage' (Firebase Storage, requires Storage to be enabled) or
+  // 'hybrid' (small files in Firestore, large files in Storage)
+  backend: 'firestore',
+  
+  // Hybrid only: files smaller than this go to Firestore, the rest to Storage
+  hybridThreshold: 1024 * 1024,
+  
+  // Maximum file size in bytes (100MB default). The backend's own limit still
+  // applies, and users/{uid}.quota.maxFileSize overrides it for one user
   maxFileSize: 100 * 1024 * 1024,
   
   // Allowed file types (empty array means all types allowed)
@@ -47,7 +56,8 @@ export const storageConfig = {
     'application/x-tar', 'application/gzip'
   ],
   
-  // Storage quota in bytes (15GB default - matching Google Drive free tier)
+  // Storage quota in bytes (15GB default - matching Google Drive free tier).
+  // users/{uid}.quota.storageQuota overrides it for one user
   storageQuota: 15 * 1024 * 1024 * 1024
 };
 
@@ -85,5 +95,13 @@ export const isDevelopment = window.location.hostname === 'localhost' ||
                              window.location.hostname === '127.0.0.1' ||
                              window.location.hostname === '';
 
+// Local Auth and Firestore emulators (`firebase emulators:start`, ports from
+// firebase.json). Open the app on localhost with ?emulator in the URL to use them
+export const emulatorConfig = {
+  host: '127.0.0.1',
+  authPort: 9099,
+  firestorePort: 8080
+};
+
 // Enable Firebase Analytics (optional)
 export const enableAnalytics = false;
@@ -5,8 +5,8 @@
 
 // Import Firebase modules from CDN
 import { initializeApp } from 'https://www.gstatic.com/firebasejs/10.7.1/firebase-app.js';
-import { getAuth } from 'https://www.gstatic.com/firebasejs/10.7.1/firebase-auth.js';
-import { getFirestore } from 'https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js';
+import { getAuth, connectAuthEmulator } from 'https://www.gstatic.com/firebasejs/10.7.1/firebase-auth.js';
+import { getFirestore, connectFirestoreEmulator } from 'https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js';
 
 // Your web app's Firebase configuration
 const firebaseConfig = {
@@ -19,10 +19,64 @@ const firebaseConfig = {
   measurementId: "G-E532PGPJD7"
 };
 
+// Storage configuration
+const storageConfig = {
+  // Where file content is kept: 'firestore' (chunked documents, free tier),
+  // 'storage' (Firebase Storage) or 'hybrid' (routed by size)
+  backend: 'firestore',
+
+  // Hybrid only: files smaller than this go to Firestore, the rest to Storage
+  hybridThreshold: 1024 * 1024,
+
+  // Per-user limits; users/{uid}.quota can override either for one user.
+  // The backend's own limit still applies (50MB per file in Firestore)
+  maxFileSize: 100 * 1024 * 1024,
+  storageQuota: 1024 * 1024 * 1024
+};
+
+// Local Auth and Firestore emulators (`firebase emulators:start`, ports from
+// firebase.json). Used when the app is opened on localhost with ?emulator in
+// the URL; keep storageConfig.backend on 'firestore' while they are in use
+const emulatorConfig = {
+  host: '127.0.0.1',
+  authPort: 9099,
+  firestorePort: 8080
+};
+
+const useEmulators = ['localhost', '127.0.0.1'].includes(window.location.hostname) &&
+  new URLSearchParams(window.location.search).has('emulator');
+
 // Initialize Firebase
 const app = initializeApp(firebaseConfig);
 const auth = getAuth(app);
 const db = getFirestore(app);
 
+if (useEmulators) {
+  const { host, authPort, firestorePort } = emulatorConfig;
+  connectAuthEmulator(auth, `http://${host}:${authPort}`, { disableWarnings: true });
+  connectFirestoreEmulator(db, host, firestorePort);
+  console.log('Using local Firebase emulators');
+}
+
+// Firebase Storage is only used by the 'storage' and 'hybrid' backends, so
+// its SDK and instance are created the first time one of them needs it
+const STORAGE_SDK_URL = 'https://www.gstatic.com/firebasejs/10.7.1/firebase-storage.js';
+let storageLoader = null;
+
+/**
+ * @returns {Promise<Object>} The Storage SDK functions plus `storage`, the
+ *   Storage instance for this app
+ */
+function loadStorage() {
+  storageLoader ??= import(STORAGE_SDK_URL)
+    .then(sdk => ({ ...sdk, storage: sdk.getStorage(app) }))
+    .catch(error => {
+      // Let the next call try again
+      storageLoader = null;
+      throw error;
+    });
+  return storageLoader;
+}
+
 // Export everything
-export { firebaseConfig, app, auth, db };
+export { firebaseConfig, storageConfig, useEmulators, app, auth, db, loadStorage };
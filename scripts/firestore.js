@@ -20,15 +20,30 @@ import {
   writeBatch,
   onSnapshot,
   arrayUnion,
-  arrayRemove
+  arrayRemove,
+  deleteField,
+  Bytes,
+  runTransaction,
+  increment,
+  collectionGroup
 } from 'https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js';
 
 // Import Firebase app and db from centralized config
-import { db, firebaseConfig } from './firebase-config.js';
+import { db, firebaseConfig, loadStorage } from './firebase-config.js';
+import { normalizePath, splitPath, joinPath, getFolderPath, isWithinPath, validateFolderName } from './paths.js';
 
 // Since we have real Firebase config now, not in demo mode
 const isDemoMode = false;
 
+// Bump to make every client rebuild users/{uid}.usage on next read
+const USAGE_VERSION = 1;
+
+// Most writes a single batch or transaction may hold
+const BATCH_LIMIT = 500;
+
+// File documents changed per transaction, leaving room for the usage writes
+const FILE_CHANGE_CHUNK = BATCH_LIMIT - 100;
+
 console.log('🔥 Firestore: Connected to Firebase project:', firebaseConfig.projectId);
 console.log('✅ Full Firebase functionality enabled');
 
@@ -224,6 +239,21 @@ class FirestoreService {
     }
   }
 
+  /**
+   * Release the stored content referenced by a file document. Content
+   * shared with other files is kept until its last reference goes.
+   * @param {string} fileId File ID
+   * @returns {Promise<Object|null>} The file document if other files still
+   *   use its content, else null
+   */
+  async deleteFileContentFor(fileId) {
+    const file = await this.getFileMetadata(fileId);
+    if (file?.contentId && !await this.releaseFileContent(file.contentId)) {
+      return file;
+    }
+    return null;
+  }
+
   // ============ FILE QUERIES ============
 
   /**
@@ -488,6 +518,11 @@ class FirestoreService {
         trashedAt: doc.data().trashedAt?.toDate()
       }));
       
+      // Items trashed along with a folder are restored or deleted with it,
+      // so only the folder is listed
+      const trashedIds = new Set(files.map(file => file.id));
+      files = files.filter(file => !file.trashedWith || !trashedIds.has(file.trashedWith));
+
       // Sort by trashedAt date (client-side)
       files.sort((a, b) => b.trashedAt - a.trashedAt);
       
@@ -504,6 +539,43 @@ class FirestoreService {
     }
   }
 
+  /**
+   * Get every file a user owns, trashed or not, across all folders
+   * @param {string} userId User ID
+   * @returns {Promise<Array>} List of files
+   */
+  async getAllUserFiles(userId) {
+    try {
+      if (this.isDemoMode) {
+        return [...this.demoFiles];
+      }
+      
+      const filesRef = collection(this.db, 'files');
+      const [ownerSnapshot, uploaderSnapshot] = await Promise.all([
+        getDocs(query(filesRef, where('ownerId', '==', userId))),
+        getDocs(query(filesRef, where('uploadedBy', '==', userId)))
+      ]);
+      
+      const filesMap = new Map();
+      [...ownerSnapshot.docs, ...uploaderSnapshot.docs].forEach(doc => {
+        if (!filesMap.has(doc.id)) {
+          filesMap.set(doc.id, {
+            id: doc.id,
+            ...doc.data(),
+            created: doc.data().created?.toDate(),
+            modified: doc.data().modified?.toDate()
+          });
+        }
+      });
+      
+      return Array.from(filesMap.values());
+      
+    } catch (error) {
+      console.error('Error getting all user files:', error);
+      throw error;
+    }
+  }
+
   // ============ FILE ACTIONS ============
 
   /**
@@ -540,10 +612,7 @@ class FirestoreService {
    */
   async trashFile(fileId, userId) {
     try {
-      await this.updateFileMetadata(fileId, {
-        trashed: true,
-        trashedAt: Timestamp.now()
-      });
+      await this.trashItems([fileId], userId);
       
       // Log activity
       await this.logActivity({
@@ -568,10 +637,7 @@ class FirestoreService {
    */
   async restoreFile(fileId, userId) {
     try {
-      await this.updateFileMetadata(fileId, {
-        trashed: false,
-        trashedAt: null
-      });
+      await this.restoreItems([fileId], userId);
       
       // Log activity
       await this.logActivity({
@@ -604,7 +670,7 @@ class FirestoreService {
         timestamp: Timestamp.now()
       });
       
-      await this.deleteFileMetadata(fileId);
+      await this.deleteItems([fileId], userId);
       console.log('File permanently deleted:', fileId);
     } catch (error) {
       console.error('Error permanently deleting file:', error);
@@ -613,15 +679,22 @@ class FirestoreService {
   }
 
   /**
-   * Rename file
+   * Rename a file or folder. A folder's contents follow it to its new path.
    * @param {string} fileId File ID
    * @param {string} newName New file name
    * @param {string} userId User ID
    * @returns {Promise<void>}
+   * @throws {Error} With code 'invalid-folder-name' or 'folder-exists' when
+   *   a folder can't take the name
    */
   async renameFile(fileId, newName, userId) {
     try {
-      await this.updateFileMetadata(fileId, { name: newName });
+      const file = this.isDemoMode ? null : await this.getFileByPath(fileId);
+      if (file?.type === 'folder') {
+        await this.renameFolder(file, newName, userId);
+      } else {
+        await this.updateFileMetadata(fileId, { name: newName });
+      }
       
       // Log activity
       await this.logActivity({
@@ -648,7 +721,7 @@ class FirestoreService {
    */
   async moveFile(fileId, newPath, userId) {
     try {
-      await this.updateFileMetadata(fileId, { path: newPath });
+      await this.moveItems([fileId], newPath, userId);
       
       // Log activity
       await this.logActivity({
@@ -692,6 +765,7 @@ class FirestoreService {
         sharedWith: arrayUnion(...emails),
         modified: Timestamp.now()
       });
+      await this.syncFileContentShares(fileId);
       
       // Log activity
       await this.logActivity({
@@ -881,6 +955,7 @@ class FirestoreService {
         sharedWith: arrayRemove(email),
         modified: Timestamp.now()
       });
+      await this.syncFileContentShares(fileId);
       
       console.log('User share removed:', fileId, email);
     } catch (error) {
@@ -889,6 +964,29 @@ class FirestoreService {
     }
   }
 
+  /**
+   * Delete the share links and user share records a user created for files
+   * that are being permanently deleted
+   * @param {Array} fileIds File IDs
+   * @param {string} userId User who shared them
+   * @returns {Promise<void>}
+   */
+  async deleteShareRecords(fileIds, userId) {
+    if (this.isDemoMode || fileIds.length === 0) return;
+
+    try {
+      const snapshots = await Promise.all(fileIds.flatMap(fileId => [
+        getDocs(query(collection(this.db, 'shareLinks'), where('fileId', '==', fileId), where('createdBy', '==', userId))),
+        getDocs(query(collection(this.db, 'userShares'), where('fileId', '==', fileId), where('sharedBy', '==', userId)))
+      ]));
+
+      await this.deleteDocuments(snapshots.flatMap(snapshot => snapshot.docs.map(docSnap => docSnap.ref)));
+    } catch (error) {
+      console.error('Error deleting share records:', error);
+      throw error;
+    }
+  }
+
   // ============ ACTIVITY LOG ============
 
   /**
@@ -1038,14 +1136,7 @@ class FirestoreService {
    */
   async batchDeleteFiles(fileIds, userId) {
     try {
-      const batch = writeBatch(this.db);
-      
-      fileIds.forEach(fileId => {
-        const docRef = doc(this.db, 'files', fileId);
-        batch.delete(docRef);
-      });
-      
-      await batch.commit();
+      await this.deleteItems(fileIds, userId);
       
       // Log activity for each file
       const activityPromises = fileIds.map(fileId =>
@@ -1066,25 +1157,43 @@ class FirestoreService {
   }
 
   /**
-   * Batch move files
+   * Batch move files to trash
    * @param {Array} fileIds Array of file IDs
-   * @param {string} newPath New path
    * @param {string} userId User ID
    * @returns {Promise<void>}
    */
-  async batchMoveFiles(fileIds, newPath, userId) {
+  async batchTrashFiles(fileIds, userId) {
     try {
-      const batch = writeBatch(this.db);
+      await this.trashItems(fileIds, userId);
       
-      fileIds.forEach(fileId => {
-        const docRef = doc(this.db, 'files', fileId);
-        batch.update(docRef, {
-          path: newPath,
-          modified: Timestamp.now()
-        });
-      });
+      // Log activity for each file
+      const activityPromises = fileIds.map(fileId =>
+        this.logActivity({
+          action: 'batch_trash',
+          fileId,
+          userId,
+          timestamp: Timestamp.now()
+        })
+      );
       
-      await batch.commit();
+      await Promise.all(activityPromises);
+      console.log('Batch trash completed for:', fileIds);
+    } catch (error) {
+      console.error('Error batch trashing files:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Batch move files and folders
+   * @param {Array} fileIds Array of file IDs
+   * @param {string} newPath New path
+   * @param {string} userId User ID
+   * @returns {Promise<void>}
+   */
+  async batchMoveFiles(fileIds, newPath, userId) {
+    try {
+      await this.moveItems(fileIds, newPath, userId);
       
       // Log activity for each file
       const activityPromises = fileIds.map(fileId =>
@@ -1105,6 +1214,347 @@ class FirestoreService {
     }
   }
 
+  /**
+   * Move items into a folder. A moved folder takes everything inside it
+   * along, so descendants' paths are rewritten too (in batches of 500).
+   * @param {Array} fileIds IDs of the files and folders to move
+   * @param {string} newPath Destination folder path
+   * @param {string} userId User ID
+   * @returns {Promise<void>}
+   * @throws {Error} With code 'invalid-move' for a folder moved into itself,
+   *   or 'folder-exists' when the destination has a folder of the same name
+   */
+  async moveItems(fileIds, newPath, userId) {
+    if (this.isDemoMode) {
+      console.log('Demo Mode: Moving', fileIds, 'to', newPath);
+      return;
+    }
+
+    const targetPath = normalizePath(newPath);
+    const allFiles = await this.getAllUserFiles(userId);
+    const byId = new Map(allFiles.map(file => [file.id, file]));
+    const items = fileIds.map(fileId => byId.get(fileId)).filter(Boolean);
+
+    items.filter(item => item.type === 'folder').forEach(folder => {
+      if (isWithinPath(targetPath, getFolderPath(folder))) {
+        const error = new Error(`Can't move "${folder.name}" into itself or one of its subfolders`);
+        error.code = 'invalid-move';
+        throw error;
+      }
+
+      const clash = allFiles.find(file => file.type === 'folder' && !file.trashed && file.id !== folder.id &&
+        normalizePath(file.path) === targetPath && file.name.toLowerCase() === folder.name.toLowerCase());
+      if (clash) {
+        const error = new Error(`A folder named "${folder.name}" already exists there`);
+        error.code = 'folder-exists';
+        throw error;
+      }
+    });
+
+    // Items picked explicitly go straight to the destination, even when
+    // their folder is being moved as well. Deepest folders claim their
+    // contents first, so nested picks keep their own contents.
+    const updates = new Map(items.map(item => [item.id, targetPath]));
+    items
+      .filter(item => item.type === 'folder')
+      .sort((a, b) => splitPath(getFolderPath(b)).length - splitPath(getFolderPath(a)).length)
+      .forEach(folder => {
+        const oldFolderPath = getFolderPath(folder);
+        const newFolderPath = joinPath(targetPath, folder.name);
+        allFiles
+          .filter(file => !updates.has(file.id) && isWithinPath(file.path, oldFolderPath))
+          .forEach(file => {
+            updates.set(file.id, newFolderPath + normalizePath(file.path).slice(oldFolderPath.length));
+          });
+      });
+
+    const entries = Array.from(updates.entries());
+    for (let start = 0; start < entries.length; start += BATCH_LIMIT) {
+      const batch = writeBatch(this.db);
+      entries.slice(start, start + BATCH_LIMIT).forEach(([fileId, path]) => {
+        batch.update(doc(this.db, 'files', fileId), { path, modified: Timestamp.now() });
+      });
+      await batch.commit();
+    }
+  }
+
+  /**
+   * Rename a folder and rewrite the paths of everything inside it, refusing
+   * a name createFolder would refuse
+   * @param {Object} folder Folder document
+   * @param {string} newName New folder name
+   * @param {string} userId User ID
+   * @returns {Promise<void>}
+   */
+  async renameFolder(folder, newName, userId) {
+    const problem = validateFolderName(newName);
+    if (problem) {
+      const error = new Error(problem);
+      error.code = 'invalid-folder-name';
+      throw error;
+    }
+
+    const name = newName.trim();
+    const parentPath = normalizePath(folder.path);
+    const allFiles = await this.getAllUserFiles(userId);
+
+    const clash = allFiles.find(file => file.type === 'folder' && !file.trashed && file.id !== folder.id &&
+      normalizePath(file.path) === parentPath && file.name.toLowerCase() === name.toLowerCase());
+    if (clash) {
+      const error = new Error(`A folder named "${name}" already exists here`);
+      error.code = 'folder-exists';
+      throw error;
+    }
+
+    // Contents first, the folder itself in the last batch
+    const oldFolderPath = getFolderPath(folder);
+    const newFolderPath = joinPath(parentPath, name);
+    const updates = allFiles
+      .filter(file => isWithinPath(file.path, oldFolderPath))
+      .map(file => [file.id, { path: newFolderPath + normalizePath(file.path).slice(oldFolderPath.length) }]);
+    updates.push([folder.id, { name }]);
+
+    for (let start = 0; start < updates.length; start += BATCH_LIMIT) {
+      const batch = writeBatch(this.db);
+      updates.slice(start, start + BATCH_LIMIT).forEach(([fileId, changes]) => {
+        batch.update(doc(this.db, 'files', fileId), { ...changes, modified: Timestamp.now() });
+      });
+      await batch.commit();
+    }
+  }
+
+  // ============ FOLDER CASCADE ============
+  // Trashing, restoring and deleting a folder covers everything inside it.
+  // Items trashed along with a folder record it in `trashedWith`, so the
+  // folder brings back exactly those and not what was trashed before it.
+  // Contents are changed before the folder itself: if a chunk fails, the
+  // folder is still where the user left it and the action can be repeated.
+
+  /**
+   * Move items to the trash, folders with everything inside them
+   * @param {Array} fileIds IDs of the files and folders to trash
+   * @param {string} userId User ID
+   * @returns {Promise<void>}
+   */
+  async trashItems(fileIds, userId) {
+    if (this.isDemoMode) {
+      console.log('Demo Mode: Trashing', fileIds);
+      return;
+    }
+
+    const allFiles = await this.getAllUserFiles(userId);
+    const items = this.getItemsShallowFirst(allFiles, fileIds).filter(item => !item.trashed);
+    const trashedAt = Timestamp.now();
+    const roots = [];
+
+    for (const item of items) {
+      // Already trashed with a folder picked alongside it
+      if (item.trashed) continue;
+
+      if (item.type === 'folder') {
+        const folderPath = getFolderPath(item);
+        const contents = allFiles.filter(file => !file.trashed && isWithinPath(file.path, folderPath));
+        await this.applyFileChanges(contents.map(file => file.id), 'trash', {
+          trashed: true,
+          trashedAt,
+          trashedWith: item.id
+        });
+        contents.forEach(file => { file.trashed = true; });
+      }
+
+      item.trashed = true;
+      roots.push(item);
+    }
+
+    await this.applyFileChanges(roots.map(item => item.id), 'trash', {
+      trashed: true,
+      trashedAt,
+      trashedWith: null
+    });
+  }
+
+  /**
+   * Restore items from the trash, folders with what was trashed along with
+   * them. A missing parent folder is restored too, or created again if it
+   * was deleted.
+   * @param {Array} fileIds IDs of the files and folders to restore
+   * @param {string} userId User ID
+   * @returns {Promise<void>}
+   * @throws {Error} With code 'folder-exists' when a folder of the same name
+   *   took the restored folder's place
+   */
+  async restoreItems(fileIds, userId) {
+    if (this.isDemoMode) {
+      console.log('Demo Mode: Restoring', fileIds);
+      return;
+    }
+
+    const allFiles = await this.getAllUserFiles(userId);
+    const items = this.getItemsShallowFirst(allFiles, fileIds);
+
+    for (const item of items) {
+      // Restored as the parent of an earlier item
+      if (!item.trashed) continue;
+
+      await this.ensureFolderPath(item.path, userId, allFiles);
+      if (item.trashed) {
+        await this.restoreWithContents(item, allFiles);
+      }
+    }
+  }
+
+  /**
+   * Restore one trashed item and, for a folder, what was trashed with it
+   * @param {Object} item File or folder document
+   * @param {Array} allFiles The user's files, updated in place
+   * @returns {Promise<void>}
+   */
+  async restoreWithContents(item, allFiles) {
+    const updates = { trashed: false, trashedAt: null, trashedWith: null };
+
+    if (item.type === 'folder') {
+      const clash = allFiles.find(file => file.type === 'folder' && !file.trashed && file.id !== item.id &&
+        normalizePath(file.path) === normalizePath(item.path) && file.name.toLowerCase() === item.name.toLowerCase());
+      if (clash) {
+        const error = new Error(`A folder named "${item.name}" already exists there. Rename or move it to restore this one.`);
+        error.code = 'folder-exists';
+        throw error;
+      }
+
+      const folderPath = getFolderPath(item);
+      const contents = allFiles.filter(file => file.trashed && file.trashedWith === item.id &&
+        isWithinPath(file.path, folderPath));
+      await this.applyFileChanges(contents.map(file => file.id), 'restore', updates);
+      contents.forEach(file => { file.trashed = false; });
+    }
+
+    await this.applyFileChanges([item.id], 'restore', updates);
+    item.trashed = false;
+  }
+
+  /**
+   * Make sure every folder along a path exists outside the trash. A trashed
+   * folder is restored with its contents; a deleted one is created again.
+   * @param {string} path Folder path
+   * @param {string} userId Owner user ID
+   * @param {Array} allFiles The user's files, updated in place
+   * @returns {Promise<void>}
+   */
+  async ensureFolderPath(path, userId, allFiles) {
+    const segments = splitPath(path);
+
+    for (let depth = 0; depth < segments.length; depth++) {
+      const parentPath = segments.slice(0, depth).join('/');
+      const name = segments[depth];
+      const folders = allFiles.filter(file => file.type === 'folder' &&
+        normalizePath(file.path) === parentPath && file.name === name);
+
+      if (folders.some(folder => !folder.trashed)) continue;
+
+      // The most recently trashed one is the folder the item was in
+      const trashed = folders.sort((a, b) => (b.trashedAt?.toMillis?.() || 0) - (a.trashedAt?.toMillis?.() || 0))[0];
+      if (trashed) {
+        await this.restoreWithContents(trashed, allFiles);
+        continue;
+      }
+
+      const folder = this.createFolderDoc(name, parentPath, userId);
+      await this.saveFile(folder);
+      allFiles.push(folder);
+      console.log('Folder recreated:', joinPath(parentPath, name));
+    }
+  }
+
+  /**
+   * Permanently delete items with their content and share records. A folder
+   * takes what was trashed along with it, or everything inside it when it
+   * isn't in the trash.
+   * @param {Array} fileIds IDs of the files and folders to delete
+   * @param {string} userId User ID
+   * @returns {Promise<void>}
+   */
+  async deleteItems(fileIds, userId) {
+    if (this.isDemoMode) {
+      console.log('Demo Mode: Deleting', fileIds);
+      return;
+    }
+
+    const allFiles = await this.getAllUserFiles(userId);
+    const items = this.getItemsShallowFirst(allFiles, fileIds);
+    const deleted = new Set();
+
+    for (const item of items) {
+      if (deleted.has(item.id)) continue;
+
+      if (item.type === 'folder') {
+        const folderPath = getFolderPath(item);
+        const contents = allFiles.filter(file => !deleted.has(file.id) && isWithinPath(file.path, folderPath) &&
+          (file.trashedWith === item.id || (!item.trashed && !file.trashed)));
+        await this.deleteDocumentsAndContent(contents, userId);
+        contents.forEach(file => deleted.add(file.id));
+      }
+
+      await this.deleteDocumentsAndContent([item], userId);
+      deleted.add(item.id);
+    }
+  }
+
+  /**
+   * Remove the content of file documents, then delete the documents and
+   * the share records pointing at them
+   * @param {Array} files File documents
+   * @param {string} userId User ID
+   * @returns {Promise<void>}
+   */
+  async deleteDocumentsAndContent(files, userId) {
+    if (files.length === 0) return;
+
+    // Content is only reachable through the file documents, so it goes first
+    const keptContentIds = new Set();
+    for (const file of files) {
+      if (file.backend === 'storage' && file.storagePath) {
+        await this.deleteStorageObject(file.storagePath);
+      } else if (file.contentId && !await this.releaseFileContent(file.contentId)) {
+        keptContentIds.add(file.contentId);
+      }
+    }
+
+    const fileIds = files.map(file => file.id);
+    await this.applyFileChanges(fileIds, 'delete');
+    await this.deleteShareRecords(fileIds, userId);
+
+    // Content other files still use stops being readable through these shares
+    for (const contentId of keptContentIds) {
+      await this.syncContentShares(contentId, userId);
+    }
+  }
+
+  /**
+   * Delete a Firebase Storage object, treating one that is already gone as deleted
+   * @param {string} storagePath Object path
+   * @returns {Promise<void>}
+   */
+  async deleteStorageObject(storagePath) {
+    const { ref, deleteObject, storage } = await loadStorage();
+    try {
+      await deleteObject(ref(storage, storagePath));
+    } catch (error) {
+      if (error.code !== 'storage/object-not-found') throw error;
+    }
+  }
+
+  /**
+   * @param {Array} allFiles The user's files
+   * @param {Array} fileIds IDs of the items an action was asked for
+   * @returns {Array} Those items, outermost first
+   */
+  getItemsShallowFirst(allFiles, fileIds) {
+    const ids = new Set(fileIds);
+    return allFiles
+      .filter(file => ids.has(file.id))
+      .sort((a, b) => splitPath(a.path).length - splitPath(b.path).length);
+  }
+
   /**
    * Save file document to Firestore (for Firestore-only storage)
    */
@@ -1120,8 +1570,16 @@ class FirestoreService {
         id: String(fileDoc.id || ''),
         name: String(fileDoc.name || ''),
         size: Number(fileDoc.size || 0),
+        originalSize: Number(fileDoc.originalSize || fileDoc.size || 0),
+        storedSize: Number(fileDoc.storedSize || fileDoc.size || 0),
+        compression: String(fileDoc.compression || ''),
+        contentHash: String(fileDoc.contentHash || ''),
         type: String(fileDoc.type || ''),
-        data: String(fileDoc.data || ''),
+        backend: String(fileDoc.backend || 'firestore'),
+        contentId: String(fileDoc.contentId || ''),
+        storagePath: String(fileDoc.storagePath || ''),
+        encrypted: Boolean(fileDoc.encrypted || false),
+        iv: String(fileDoc.iv || ''),
         path: String(fileDoc.path || ''),
         uploadedBy: String(fileDoc.uploadedBy || fileDoc.ownerId || ''),
         ownerId: String(fileDoc.ownerId || fileDoc.uploadedBy || ''),
@@ -1135,7 +1593,12 @@ class FirestoreService {
         sharedWith: Array.isArray(fileDoc.sharedWith) ? fileDoc.sharedWith : []
       };
 
-      await setDoc(doc(this.db, 'files', cleanFileDoc.id), cleanFileDoc);
+      // File IDs are new on every upload, so this always adds to usage.
+      // (Rules don't allow reading a document that doesn't exist yet.)
+      const batch = writeBatch(this.db);
+      batch.set(doc(this.db, 'files', cleanFileDoc.id), cleanFileDoc);
+      this.setUsageDelta(batch, cleanFileDoc.ownerId, this.getFileUsageDelta(cleanFileDoc, 'create'));
+      await batch.commit();
       console.log('File document saved with ID:', cleanFileDoc.id);
       return { id: cleanFileDoc.id };
     } catch (error) {
@@ -1144,43 +1607,982 @@ class FirestoreService {
     }
   }
 
+  // ============ FOLDERS ============
+  // A folder is a files document with type 'folder'. Its path is its parent
+  // folder's path, like every other item (see paths.js).
+
   /**
-   * Get file by path or ID (for Firestore-only storage)
+   * Create a folder, refusing a name already used by a folder in the same place
+   * @param {string} name Folder name
+   * @param {string|Array} path Parent folder path ('' for My Files)
+   * @param {string} userId Owner user ID
+   * @returns {Promise<Object>} The new folder document
    */
-  async getFileByPath(pathOrId) {
-    console.log('getFileByPath called with:', pathOrId);
-    
-    if (this.isDemoMode) {
-      return this.getDemoFileByPath(pathOrId);
+  async createFolder(name, path, userId) {
+    const problem = validateFolderName(name);
+    if (problem) {
+      const error = new Error(problem);
+      error.code = 'invalid-folder-name';
+      throw error;
     }
 
     try {
-      // First try to get by document ID
-      try {
-        console.log('Trying to get document by ID:', pathOrId);
-        const docRef = doc(this.db, 'files', pathOrId);
-        const docSnap = await getDoc(docRef);
-        if (docSnap.exists()) {
-          const fileData = { id: docSnap.id, ...docSnap.data() };
-          console.log('Found file by ID:', fileData);
-          return fileData;
-        } else {
-          console.log('Document not found by ID:', pathOrId);
-        }
-      } catch (e) {
-        console.log('Error getting by ID, trying by path:', e);
-        // If that fails, search by path or id field
+      const folderName = name.trim();
+      const parentPath = normalizePath(path);
+      const siblings = await this.getUserFiles(userId, splitPath(parentPath));
+
+      if (siblings.some(file => file.type === 'folder' && file.name.toLowerCase() === folderName.toLowerCase())) {
+        const error = new Error(`A folder named "${folderName}" already exists here`);
+        error.code = 'folder-exists';
+        throw error;
       }
 
-      // Search by path
-      const pathQuery = query(
-        collection(this.db, 'files'),
-        where('path', '==', pathOrId),
-        where('trashed', '==', false),
-        limit(1)
-      );
-      
-      const querySnapshot = await getDocs(pathQuery);
+      const folder = this.createFolderDoc(folderName, parentPath, userId);
+      await this.saveFile(folder);
+      console.log('Folder created:', parentPath ? `${parentPath}/${folderName}` : folderName);
+      return folder;
+    } catch (error) {
+      console.error('Error creating folder:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Make sure folders exist below a folder, creating the missing ones.
+   * Existing folders match case-insensitively, as createFolder would refuse
+   * them, so files go into them instead of next to them.
+   * @param {string|Array} basePath Folder the paths are relative to
+   * @param {string[]} relativePaths Folder paths relative to basePath
+   * @param {string} userId Owner user ID
+   * @returns {Promise<Map<string, string>>} Each relative path (and every
+   *   ancestor of one, and '') mapped to the full path of its folder
+   * @throws {Error} With code 'invalid-folder-name' for a name a folder can't have
+   */
+  async createFolderPaths(basePath, relativePaths, userId) {
+    const resolved = new Map([['', normalizePath(basePath)]]);
+
+    const wanted = new Set();
+    relativePaths.forEach(relativePath => {
+      const segments = splitPath(relativePath);
+      segments.forEach((_, index) => wanted.add(segments.slice(0, index + 1).join('/')));
+    });
+    const ordered = Array.from(wanted).sort((a, b) => splitPath(a).length - splitPath(b).length);
+
+    try {
+      const folders = this.isDemoMode
+        ? []
+        : (await this.getAllUserFiles(userId)).filter(file => file.type === 'folder' && !file.trashed);
+
+      for (const relativePath of ordered) {
+        const segments = splitPath(relativePath);
+        const name = segments.pop();
+        const parentPath = resolved.get(segments.join('/'));
+
+        const problem = validateFolderName(name);
+        if (problem) {
+          const error = new Error(`${problem}: "${relativePath}"`);
+          error.code = 'invalid-folder-name';
+          throw error;
+        }
+
+        const existing = folders.find(folder => normalizePath(folder.path) === parentPath &&
+          folder.name.toLowerCase() === name.toLowerCase());
+        if (existing) {
+          resolved.set(relativePath, getFolderPath(existing));
+          continue;
+        }
+
+        const folder = this.createFolderDoc(name, parentPath, userId);
+        await this.saveFile(folder);
+        folders.push(folder);
+        resolved.set(relativePath, getFolderPath(folder));
+      }
+
+      return resolved;
+    } catch (error) {
+      console.error('Error creating folders:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * @param {string} name Folder name
+   * @param {string} parentPath Parent folder path
+   * @param {string} userId Owner user ID
+   * @returns {Object} New folder document, not saved yet
+   */
+  createFolderDoc(name, parentPath, userId) {
+    return {
+      id: this.generateFolderId(),
+      name,
+      type: 'folder',
+      size: 0,
+      path: parentPath,
+      ownerId: userId,
+      uploadedBy: userId,
+      created: new Date(),
+      modified: new Date()
+    };
+  }
+
+  /**
+   * Get the folders directly inside a folder, without reading any other files
+   * @param {string} userId Owner user ID
+   * @param {string|Array} path Parent folder path ('' for My Files)
+   * @returns {Promise<Array>} Folders sorted by name
+   */
+  async getSubfolders(userId, path) {
+    const parentPath = normalizePath(path);
+
+    try {
+      let folders;
+      if (this.isDemoMode) {
+        folders = this.demoFiles.filter(file => file.type === 'folder' && !file.trashed &&
+          normalizePath(file.path) === parentPath);
+      } else {
+        // Equality filters only, so no composite index is needed
+        const snapshot = await getDocs(query(
+          collection(this.db, 'files'),
+          where('uploadedBy', '==', userId),
+          where('type', '==', 'folder'),
+          where('path', '==', parentPath),
+          where('trashed', '==', false)
+        ));
+        folders = snapshot.docs.map(docSnap => ({ id: docSnap.id, ...docSnap.data() }));
+      }
+
+      return folders.sort((a, b) => a.name.localeCompare(b.name));
+    } catch (error) {
+      console.error('Error getting subfolders:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Generate a unique folder document ID
+   * @returns {string} Folder ID
+   */
+  generateFolderId() {
+    return 'folder_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+  }
+
+  /**
+   * Generate a unique file document ID
+   * @returns {string} File ID
+   */
+  generateFileId() {
+    return 'file_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+  }
+
+  // ============ FILE CONTENT ============
+  // File bytes live in fileContents/{contentId} (manifest) and its chunks
+  // subcollection, so reading a files document never downloads content.
+
+  /**
+   * Save the content manifest for a file
+   * @param {Object} content Manifest (id, ownerId, size, type, chunkCount, chunkSize,
+   *   hash, compression, encrypted)
+   * @returns {Promise<void>}
+   */
+  async saveFileContent(content) {
+    if (this.isDemoMode) {
+      console.log('Demo Mode: Saving content manifest:', content.id);
+      return;
+    }
+
+    try {
+      const contentDoc = {
+        id: String(content.id || ''),
+        ownerId: String(content.ownerId || ''),
+        size: Number(content.size || 0),
+        type: String(content.type || ''),
+        chunkCount: Number(content.chunkCount || 0),
+        chunkSize: Number(content.chunkSize || 0),
+        encoding: 'bytes',
+        hash: String(content.hash || ''),
+        compression: String(content.compression || ''),
+        encrypted: Boolean(content.encrypted || false),
+        // Shares of the files using it, see syncContentShares
+        sharedWith: Array.isArray(content.sharedWith) ? content.sharedWith.map(String) : [],
+        refCount: 1,
+        created: Timestamp.now()
+      };
+
+      const batch = writeBatch(this.db);
+      batch.set(doc(this.db, 'fileContents', contentDoc.id), contentDoc);
+      this.setUsageDelta(batch, contentDoc.ownerId, this.getContentUsageDelta(contentDoc, 1));
+      await batch.commit();
+    } catch (error) {
+      console.error('Error saving file content:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the content manifest for a file
+   * @param {string} contentId Content ID
+   * @returns {Promise<Object|null>} Content manifest
+   */
+  async getFileContent(contentId) {
+    try {
+      const docSnap = await getDoc(doc(this.db, 'fileContents', contentId));
+      return docSnap.exists() ? { id: docSnap.id, ...docSnap.data() } : null;
+    } catch (error) {
+      console.error('Error getting file content:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find a user's stored content with the given SHA-256, for deduplication.
+   * Encrypted content is never shared, each file has its own IV.
+   * @param {string} userId Owner user ID
+   * @param {string} hash Hex SHA-256 of the original content
+   * @returns {Promise<Object|null>} Content manifest
+   */
+  async findFileContentByHash(userId, hash) {
+    if (this.isDemoMode || !hash) return null;
+
+    try {
+      const q = query(
+        collection(this.db, 'fileContents'),
+        where('ownerId', '==', userId),
+        where('hash', '==', hash)
+      );
+      const snapshot = await getDocs(q);
+      const match = snapshot.docs
+        .map(docSnap => ({ id: docSnap.id, ...docSnap.data() }))
+        .find(content => !content.encrypted && !content.deleting);
+
+      return match || null;
+    } catch (error) {
+      console.error('Error finding content by hash:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add a reference to existing content
+   * @param {string} contentId Content ID
+   * @returns {Promise<Object|null>} Content manifest, or null if it is gone or being deleted
+   */
+  async acquireFileContent(contentId) {
+    if (this.isDemoMode) return null;
+
+    try {
+      const contentRef = doc(this.db, 'fileContents', contentId);
+
+      return await runTransaction(this.db, async (transaction) => {
+        const docSnap = await transaction.get(contentRef);
+        if (!docSnap.exists()) return null;
+
+        const content = docSnap.data();
+        const refCount = content.refCount ?? 1;
+        if (content.deleting || refCount <= 0) return null;
+
+        transaction.update(contentRef, { refCount: increment(1) });
+        return { id: docSnap.id, ...content, refCount: refCount + 1 };
+      });
+    } catch (error) {
+      console.error('Error acquiring file content:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Drop a reference to content, deleting it once nothing references it.
+   * Manifests written before reference counting count as one reference.
+   * @param {string} contentId Content ID
+   * @returns {Promise<boolean>} True if the content was deleted
+   */
+  async releaseFileContent(contentId) {
+    if (this.isDemoMode) {
+      console.log('Demo Mode: Releasing content:', contentId);
+      return false;
+    }
+
+    try {
+      const contentRef = doc(this.db, 'fileContents', contentId);
+
+      const lastReference = await runTransaction(this.db, async (transaction) => {
+        const docSnap = await transaction.get(contentRef);
+        if (!docSnap.exists()) return false;
+
+        const remaining = (docSnap.data().refCount ?? 1) - 1;
+        if (remaining > 0) {
+          transaction.update(contentRef, { refCount: remaining });
+          return false;
+        }
+
+        // Stop new references before the chunks go
+        transaction.update(contentRef, { refCount: 0, deleting: true });
+        this.setUsageDelta(transaction, docSnap.data().ownerId, this.getContentUsageDelta(docSnap.data(), -1));
+        return true;
+      });
+
+      if (lastReference) {
+        await this.deleteFileContent(contentId);
+      }
+
+      return lastReference;
+    } catch (error) {
+      console.error('Error releasing file content:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Copy the shares of a file onto its content, see syncContentShares
+   * @param {string} fileId File ID
+   * @returns {Promise<void>}
+   */
+  async syncFileContentShares(fileId) {
+    const docSnap = await getDoc(doc(this.db, 'files', fileId));
+    const file = docSnap.data();
+    if (file?.contentId) {
+      await this.syncContentShares(file.contentId, file.ownerId);
+    }
+  }
+
+  /**
+   * Set a manifest's sharedWith to everyone the files using it are shared
+   * with, which the security rules let read it and its chunks
+   * @param {string} contentId Content ID
+   * @param {string} userId Owner user ID
+   * @returns {Promise<void>}
+   */
+  async syncContentShares(contentId, userId) {
+    if (this.isDemoMode) return;
+
+    try {
+      const q = query(
+        collection(this.db, 'files'),
+        where('ownerId', '==', userId),
+        where('contentId', '==', contentId)
+      );
+      const snapshot = await getDocs(q);
+      const sharedWith = new Set(snapshot.docs.flatMap(docSnap => docSnap.data().sharedWith || []));
+
+      await updateDoc(doc(this.db, 'fileContents', contentId), { sharedWith: [...sharedWith] });
+    } catch (error) {
+      // Content that is already gone has no one left to share it with
+      if (error.code === 'not-found') return;
+      console.error('Error syncing content shares:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Save one content chunk
+   * @param {string} contentId Content ID
+   * @param {number} index Chunk position (0-based)
+   * @param {Uint8Array} bytes Raw chunk bytes
+   * @param {string} ownerId Owner user ID
+   * @returns {Promise<void>}
+   */
+  async saveContentChunk(contentId, index, bytes, ownerId) {
+    if (this.isDemoMode) {
+      console.log('Demo Mode: Saving chunk', index, 'for content:', contentId);
+      return;
+    }
+
+    try {
+      const chunkRef = doc(this.db, 'fileContents', contentId, 'chunks', this.getChunkDocId(index));
+      await setDoc(chunkRef, {
+        index: Number(index),
+        data: Bytes.fromUint8Array(bytes),
+        ownerId: String(ownerId || '')
+      });
+    } catch (error) {
+      console.error('Error saving content chunk:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get all chunks of a content in order
+   * @param {string} contentId Content ID
+   * @returns {Promise<Array>} Chunk documents sorted by index
+   */
+  async getContentChunks(contentId) {
+    return this.getChunks(collection(this.db, 'fileContents', contentId, 'chunks'));
+  }
+
+  /**
+   * Get one chunk of a content
+   * @param {string} contentId Content ID
+   * @param {number} index Chunk position (0-based)
+   * @returns {Promise<Object|null>} Chunk document, or null if it is missing
+   */
+  async getContentChunk(contentId, index) {
+    try {
+      const docSnap = await getDoc(doc(this.db, 'fileContents', contentId, 'chunks', this.getChunkDocId(index)));
+      return docSnap.exists() ? docSnap.data() : null;
+    } catch (error) {
+      console.error('Error getting content chunk:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a content manifest and all of its chunks
+   * @param {string} contentId Content ID
+   * @returns {Promise<void>}
+   */
+  async deleteFileContent(contentId) {
+    if (this.isDemoMode) {
+      console.log('Demo Mode: Deleting content:', contentId);
+      return;
+    }
+
+    try {
+      await this.deleteChunks(collection(this.db, 'fileContents', contentId, 'chunks'));
+      await deleteDoc(doc(this.db, 'fileContents', contentId));
+      console.log('File content deleted:', contentId);
+    } catch (error) {
+      console.error('Error deleting file content:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get chunks stored under files/{id}/chunks by earlier versions
+   * @param {string} fileId File ID
+   * @returns {Promise<Array>} Chunk documents sorted by index
+   */
+  async getLegacyFileChunks(fileId) {
+    return this.getChunks(collection(this.db, 'files', fileId, 'chunks'));
+  }
+
+  /**
+   * Delete chunks stored under files/{id}/chunks by earlier versions
+   * @param {string} fileId File ID
+   * @returns {Promise<void>}
+   */
+  async deleteLegacyFileChunks(fileId) {
+    if (this.isDemoMode) return;
+
+    try {
+      await this.deleteChunks(collection(this.db, 'files', fileId, 'chunks'));
+    } catch (error) {
+      console.error('Error deleting legacy file chunks:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Point a file at its separated content and drop inline content fields
+   * @param {string} fileId File ID
+   * @param {string} contentId Content ID
+   * @returns {Promise<void>}
+   */
+  async setFileContentRef(fileId, contentId) {
+    try {
+      await updateDoc(doc(this.db, 'files', fileId), {
+        contentId,
+        data: deleteField(),
+        chunked: deleteField(),
+        chunkCount: deleteField(),
+        chunkSize: deleteField()
+      });
+    } catch (error) {
+      console.error('Error updating file content reference:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Read a chunks collection ordered by index
+   * @param {CollectionReference} chunksRef Chunks collection
+   * @returns {Promise<Array>} Chunk documents
+   */
+  async getChunks(chunksRef) {
+    try {
+      const querySnapshot = await getDocs(query(chunksRef, orderBy('index', 'asc')));
+      return querySnapshot.docs.map(doc => doc.data());
+    } catch (error) {
+      console.error('Error getting chunks:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete every document in a chunks collection
+   * @param {CollectionReference} chunksRef Chunks collection
+   * @returns {Promise<void>}
+   */
+  async deleteChunks(chunksRef) {
+    const querySnapshot = await getDocs(chunksRef);
+    if (querySnapshot.empty) return;
+
+    const batch = writeBatch(this.db);
+    querySnapshot.forEach((doc) => {
+      batch.delete(doc.ref);
+    });
+
+    await batch.commit();
+  }
+
+  /**
+   * Zero-padded chunk document ID so chunks also sort by ID
+   * @param {number} index Chunk position
+   * @returns {string} Chunk document ID
+   */
+  getChunkDocId(index) {
+    return String(index).padStart(6, '0');
+  }
+
+  // ============ MAINTENANCE ============
+  // Lookups used by maintenance.js to find records nothing points at any more
+
+  /**
+   * Get every document in a collection whose owner field matches
+   * @param {string} collectionName Collection name
+   * @param {string} ownerField Field holding the user ID
+   * @param {string} userId User ID
+   * @returns {Promise<Array<{id: string, ref: DocumentReference, data: Object}>>} Documents
+   */
+  async getOwnedDocuments(collectionName, ownerField, userId) {
+    if (this.isDemoMode) return [];
+
+    try {
+      const snapshot = await getDocs(query(collection(this.db, collectionName), where(ownerField, '==', userId)));
+      return snapshot.docs.map(docSnap => ({ id: docSnap.id, ref: docSnap.ref, data: docSnap.data() }));
+    } catch (error) {
+      console.error(`Error getting ${collectionName} for user:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Group a user's content chunks (current and legacy) by the document they
+   * belong to, so chunks without a manifest or file can be found. Needs the
+   * collection group index on chunks.ownerId (firestore.indexes.json).
+   * @param {string} userId User ID
+   * @returns {Promise<Array<{parentPath: string, parentId: string, collection: string, refs: Array}>>} Chunk sets
+   */
+  async getOwnedChunkSets(userId) {
+    if (this.isDemoMode) return [];
+
+    try {
+      const snapshot = await getDocs(query(collectionGroup(this.db, 'chunks'), where('ownerId', '==', userId)));
+      const sets = new Map();
+
+      snapshot.docs.forEach(docSnap => {
+        const parent = docSnap.ref.parent.parent;
+        if (!parent) return;
+
+        if (!sets.has(parent.path)) {
+          sets.set(parent.path, {
+            parentPath: parent.path,
+            parentId: parent.id,
+            collection: parent.parent.id,
+            refs: []
+          });
+        }
+        sets.get(parent.path).refs.push(docSnap.ref);
+      });
+
+      return Array.from(sets.values());
+    } catch (error) {
+      console.error('Error getting content chunks for user:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a user's activity entries older than a date
+   * @param {string} userId User ID
+   * @param {Date} before Cutoff date
+   * @returns {Promise<Array<DocumentReference>>} Activity document references
+   */
+  async getActivitiesBefore(userId, before) {
+    if (this.isDemoMode) return [];
+
+    try {
+      const q = query(
+        collection(this.db, 'activities'),
+        where('userId', '==', userId),
+        where('timestamp', '<', Timestamp.fromDate(before))
+      );
+      const snapshot = await getDocs(q);
+      return snapshot.docs.map(docSnap => docSnap.ref);
+    } catch (error) {
+      console.error('Error getting old activities:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Set a content manifest's reference count to the number of files using it,
+   * undoing an interrupted deletion if files still use it
+   * @param {string} contentId Content ID
+   * @param {number} refCount Reference count
+   * @returns {Promise<void>}
+   */
+  async setContentRefCount(contentId, refCount) {
+    try {
+      await updateDoc(doc(this.db, 'fileContents', contentId), { refCount, deleting: false });
+    } catch (error) {
+      console.error('Error setting content reference count:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete documents in batches that stay under Firestore's 500-write limit
+   * @param {Array<DocumentReference>} refs Documents to delete
+   * @returns {Promise<void>}
+   */
+  async deleteDocuments(refs) {
+    for (let start = 0; start < refs.length; start += BATCH_LIMIT) {
+      const batch = writeBatch(this.db);
+      refs.slice(start, start + BATCH_LIMIT).forEach(ref => batch.delete(ref));
+      await batch.commit();
+    }
+  }
+
+  // ============ USER PROFILE ============
+
+  /**
+   * Get the users/{uid} document
+   * @param {string} userId User ID
+   * @returns {Promise<Object>} User document data (empty object if missing)
+   */
+  async getUserDoc(userId) {
+    if (this.isDemoMode) {
+      return {};
+    }
+
+    try {
+      const docSnap = await getDoc(doc(this.db, 'users', userId));
+      return docSnap.exists() ? docSnap.data() : {};
+    } catch (error) {
+      console.error('Error getting user document:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Merge updates into the users/{uid} document
+   * @param {string} userId User ID
+   * @param {Object} updates Fields to merge
+   * @returns {Promise<void>}
+   */
+  async updateUserDoc(userId, updates) {
+    if (this.isDemoMode) {
+      console.log('Demo Mode: Updating user document:', userId, updates);
+      return;
+    }
+
+    try {
+      await setDoc(doc(this.db, 'users', userId), updates, { merge: true });
+    } catch (error) {
+      console.error('Error updating user document:', error);
+      throw error;
+    }
+  }
+
+  // ============ USAGE ============
+  // users/{uid}.usage keeps running totals so the storage bar and dashboard
+  // never scan every file. Each change to a file document applies its delta
+  // in the same transaction; recomputeUsage rebuilds the totals from scratch.
+  //
+  //   fileCount, folderCount, logical   non-trashed files, original sizes
+  //   physical                          stored bytes, shared content once
+  //   trash: { count, bytes }           trashed items, original sizes
+  //   byCategory[category]: { count, bytes }
+  //   byBackend[backend]: { count, logical, physical }
+
+  /**
+   * Usage category of a file, matching the app's type filter
+   * @param {Object} file File document
+   * @returns {string} image, video, audio, document, archive or other
+   */
+  getUsageCategory(file) {
+    const type = file.type || file.mimeType || '';
+    if (type.startsWith('image/')) return 'image';
+    if (type.startsWith('video/')) return 'video';
+    if (type.startsWith('audio/')) return 'audio';
+    if (type === 'application/pdf' || type.includes('document') || type.includes('word') ||
+        type.includes('excel') || type.includes('powerpoint') || type.startsWith('text/')) {
+      return 'document';
+    }
+    if (type.includes('zip') || type.includes('rar') || type.includes('archive')) {
+      return 'archive';
+    }
+    return 'other';
+  }
+
+  /**
+   * Usage change caused by a file document change
+   * @param {Object} file File document (before the change, or as created)
+   * @param {string} change 'create', 'trash', 'restore' or 'delete'
+   * @returns {Object} Usage delta
+   */
+  getFileUsageDelta(file, change) {
+    const isFolder = file.type === 'folder';
+    const size = isFolder ? 0 : Number(file.originalSize || file.size || 0);
+    const storedSize = Number(file.storedSize || file.size || 0);
+    const backend = file.backend || 'firestore';
+    // Storage objects and pre-manifest Firestore content belong to one file;
+    // manifest content is counted by getContentUsageDelta
+    const ownsContent = !isFolder && (backend === 'storage' || !file.contentId);
+
+    const live = (sign) => isFolder
+      ? { folderCount: sign }
+      : {
+          fileCount: sign,
+          logical: sign * size,
+          byCategory: { [this.getUsageCategory(file)]: { count: sign, bytes: sign * size } },
+          byBackend: { [backend]: { count: sign, logical: sign * size } }
+        };
+    const trash = (sign) => ({ trash: { count: sign, bytes: sign * size } });
+    const content = (sign) => ownsContent
+      ? { physical: sign * storedSize, byBackend: { [backend]: { physical: sign * storedSize } } }
+      : {};
+
+    switch (change) {
+      case 'create':
+        return this.addUsageDeltas(file.trashed ? trash(1) : live(1), content(1));
+      case 'trash':
+        return file.trashed ? {} : this.addUsageDeltas(live(-1), trash(1));
+      case 'restore':
+        return file.trashed ? this.addUsageDeltas(trash(-1), live(1)) : {};
+      case 'delete':
+        return this.addUsageDeltas(file.trashed ? trash(-1) : live(-1), content(-1));
+      default:
+        throw new Error(`Unknown usage change: ${change}`);
+    }
+  }
+
+  /**
+   * Usage change caused by adding or removing a content manifest
+   * @param {Object} content Content manifest
+   * @param {number} sign 1 when stored, -1 when removed
+   * @returns {Object} Usage delta
+   */
+  getContentUsageDelta(content, sign) {
+    if (content.deleting) return {};
+
+    const size = sign * Number(content.size || 0);
+    return { physical: size, byBackend: { firestore: { physical: size } } };
+  }
+
+  /**
+   * Sum two usage deltas
+   * @param {Object} a Usage delta
+   * @param {Object} b Usage delta
+   * @returns {Object} Combined delta
+   */
+  addUsageDeltas(a, b) {
+    const sum = { ...a };
+    Object.entries(b).forEach(([key, value]) => {
+      sum[key] = typeof value === 'number'
+        ? (sum[key] || 0) + value
+        : this.addUsageDeltas(sum[key] || {}, value);
+    });
+    return sum;
+  }
+
+  /**
+   * Queue a usage delta on a transaction or write batch
+   * @param {Transaction|WriteBatch} writer Transaction or batch
+   * @param {string} userId User ID
+   * @param {Object} delta Usage delta
+   */
+  setUsageDelta(writer, userId, delta) {
+    if (!userId || Object.keys(delta).length === 0) return;
+
+    const toIncrements = (value) => Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, typeof item === 'number' ? increment(item) : toIncrements(item)])
+    );
+
+    writer.set(doc(this.db, 'users', userId), {
+      usage: { ...toIncrements(delta), updatedAt: Timestamp.now() }
+    }, { merge: true });
+  }
+
+  /**
+   * Update or delete a file document and its owner's usage together
+   * @param {string} fileId File ID
+   * @param {string} change 'trash', 'restore' or 'delete'
+   * @param {Object} [updates] Fields to set (ignored for 'delete')
+   * @returns {Promise<Object>} File document before the change
+   */
+  async applyFileChange(fileId, change, updates = {}) {
+    const [file] = await this.applyFileChanges([fileId], change, updates);
+    if (!file) {
+      throw new Error('File not found');
+    }
+    return file;
+  }
+
+  /**
+   * Update or delete file documents and their owners' usage, in transactions
+   * of FILE_CHANGE_CHUNK documents. Missing documents are skipped.
+   * @param {Array} fileIds File IDs
+   * @param {string} change 'trash', 'restore' or 'delete'
+   * @param {Object} [updates] Fields to set (ignored for 'delete')
+   * @returns {Promise<Array>} File documents before the change
+   */
+  async applyFileChanges(fileIds, change, updates = {}) {
+    if (this.isDemoMode || fileIds.length === 0) return [];
+
+    // One transaction per chunk; a folder's contents can exceed the write limit
+    const files = [];
+    for (let start = 0; start < fileIds.length; start += FILE_CHANGE_CHUNK) {
+      files.push(...await this.commitFileChanges(fileIds.slice(start, start + FILE_CHANGE_CHUNK), change, updates));
+    }
+    return files;
+  }
+
+  /**
+   * Apply a file change to at most FILE_CHANGE_CHUNK documents in one transaction
+   * @param {Array} fileIds File IDs
+   * @param {string} change 'trash', 'restore' or 'delete'
+   * @param {Object} updates Fields to set (ignored for 'delete')
+   * @returns {Promise<Array>} File documents before the change
+   */
+  async commitFileChanges(fileIds, change, updates) {
+    const fileRefs = fileIds.map(fileId => doc(this.db, 'files', fileId));
+
+    return runTransaction(this.db, async (transaction) => {
+      const snapshots = await Promise.all(fileRefs.map(fileRef => transaction.get(fileRef)));
+      const deltas = new Map();
+      const files = [];
+
+      snapshots.forEach((docSnap, index) => {
+        if (!docSnap.exists()) return;
+
+        const file = { id: docSnap.id, ...docSnap.data() };
+        const ownerId = file.ownerId || file.uploadedBy;
+        deltas.set(ownerId, this.addUsageDeltas(deltas.get(ownerId) || {}, this.getFileUsageDelta(file, change)));
+        files.push(file);
+
+        if (change === 'delete') {
+          transaction.delete(fileRefs[index]);
+        } else {
+          transaction.update(fileRefs[index], { ...updates, modified: Timestamp.now() });
+        }
+      });
+
+      deltas.forEach((delta, ownerId) => this.setUsageDelta(transaction, ownerId, delta));
+      return files;
+    });
+  }
+
+  /**
+   * Get a user's usage totals, rebuilding them if they were never computed
+   * @param {string} userId User ID
+   * @returns {Promise<Object>} Usage totals
+   */
+  async getUsage(userId) {
+    if (this.isDemoMode) {
+      return this.createEmptyUsage();
+    }
+
+    try {
+      const userDoc = await this.getUserDoc(userId);
+      if (userDoc.usage?.version === USAGE_VERSION) {
+        return userDoc.usage;
+      }
+
+      return await this.recomputeUsage(userId);
+    } catch (error) {
+      console.error('Error getting usage:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Rebuild a user's usage totals from their files and stored content
+   * @param {string} userId User ID
+   * @returns {Promise<Object>} Usage totals
+   */
+  async recomputeUsage(userId) {
+    if (this.isDemoMode) {
+      return this.createEmptyUsage();
+    }
+
+    try {
+      const [files, contentSnapshot] = await Promise.all([
+        this.getAllUserFiles(userId),
+        getDocs(query(collection(this.db, 'fileContents'), where('ownerId', '==', userId)))
+      ]);
+
+      let totals = this.createEmptyUsage();
+      files.forEach(file => {
+        totals = this.addUsageDeltas(totals, this.getFileUsageDelta(file, 'create'));
+      });
+      contentSnapshot.docs.forEach(docSnap => {
+        totals = this.addUsageDeltas(totals, this.getContentUsageDelta(docSnap.data(), 1));
+      });
+
+      const usage = { ...totals, version: USAGE_VERSION, updatedAt: Timestamp.now() };
+
+      // Replace the whole field so stale categories don't survive
+      await setDoc(doc(this.db, 'users', userId), { usage }, { mergeFields: ['usage'] });
+      console.log('Usage recomputed for:', userId);
+      return usage;
+    } catch (error) {
+      console.error('Error recomputing usage:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * @returns {Object} Usage totals with every counter at zero
+   */
+  createEmptyUsage() {
+    return {
+      fileCount: 0,
+      folderCount: 0,
+      logical: 0,
+      physical: 0,
+      trash: { count: 0, bytes: 0 },
+      byCategory: {},
+      byBackend: {}
+    };
+  }
+
+  /**
+   * Get file by path or ID (for Firestore-only storage)
+   */
+  async getFileByPath(pathOrId) {
+    console.log('getFileByPath called with:', pathOrId);
+    
+    if (this.isDemoMode) {
+      return this.getDemoFileByPath(pathOrId);
+    }
+
+    try {
+      // First try to get by document ID
+      try {
+        console.log('Trying to get document by ID:', pathOrId);
+        const docRef = doc(this.db, 'files', pathOrId);
+        const docSnap = await getDoc(docRef);
+        if (docSnap.exists()) {
+          const fileData = { id: docSnap.id, ...docSnap.data() };
+          console.log('Found file by ID:', fileData);
+          return fileData;
+        } else {
+          console.log('Document not found by ID:', pathOrId);
+        }
+      } catch (e) {
+        console.log('Error getting by ID, trying by path:', e);
+        // If that fails, search by path or id field
+      }
+
+      // Search by path
+      const pathQuery = query(
+        collection(this.db, 'files'),
+        where('path', '==', pathOrId),
+        where('trashed', '==', false),
+        limit(1)
+      );
+      
+      const querySnapshot = await getDocs(pathQuery);
 
       if (!querySnapshot.empty) {
         const doc = querySnapshot.docs[0];
@@ -1238,8 +2640,11 @@ class FirestoreService {
     }
 
     try {
-      const docRef = doc(this.db, 'files', fileId);
-      await deleteDoc(docRef);
+      const contentKeptFor = await this.deleteFileContentFor(fileId);
+      await this.applyFileChange(fileId, 'delete');
+      if (contentKeptFor) {
+        await this.syncContentShares(contentKeptFor.contentId, contentKeptFor.ownerId);
+      }
       console.log('File deleted:', fileId);
     } catch (error) {
       console.error('Error deleting file:', error);
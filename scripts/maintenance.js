@@ -0,0 +1,271 @@
+/**
+ * Drive Nest - Maintenance Module
+ * Finds and removes records nothing points at any more: share links and user
+ * shares of deleted files, content and chunks no file uses, items inside
+ * folders that were deleted, and old activity entries. A scan only reports;
+ * a clean removes what the scan found and then rebuilds the usage counters.
+ */
+
+import firestoreManager from './firestore.js';
+import uploadStore from './upload-store.js';
+import { normalizePath, getFolderPath } from './paths.js';
+
+const ACTIVITY_RETENTION_DAYS = 90;
+
+// Content written this recently may belong to an upload that hasn't saved
+// its file document yet, possibly in another tab or on another device
+const CONTENT_GRACE_PERIOD = 60 * 60 * 1000; // 1 hour
+
+class MaintenanceManager {
+  constructor() {
+    this.running = false;
+  }
+
+  /**
+   * Find everything maintenance would clean for a user
+   * @param {string} userId User ID
+   * @param {Object} [options] Options
+   * @param {number} [options.activityRetentionDays] Keep activity newer than this
+   * @returns {Promise<Object>} Report (see createReport)
+   */
+  async scan(userId, options = {}) {
+    return this.run(userId, { ...options, dryRun: true });
+  }
+
+  /**
+   * Remove everything a scan finds for a user
+   * @param {string} userId User ID
+   * @param {Object} [options] Options
+   * @param {number} [options.activityRetentionDays] Keep activity newer than this
+   * @returns {Promise<Object>} Report of what was cleaned (see createReport)
+   */
+  async clean(userId, options = {}) {
+    return this.run(userId, { ...options, dryRun: false });
+  }
+
+  /**
+   * @param {string} userId User ID
+   * @param {Object} options Options
+   * @param {boolean} options.dryRun Only report, change nothing
+   * @param {number} [options.activityRetentionDays] Keep activity newer than this
+   * @returns {Promise<Object>} Report
+   */
+  async run(userId, { dryRun, activityRetentionDays = ACTIVITY_RETENTION_DAYS }) {
+    if (this.running) {
+      throw new Error('Maintenance is already running');
+    }
+
+    this.running = true;
+    try {
+      const report = this.createReport(dryRun);
+      const files = await firestoreManager.getAllUserFiles(userId);
+      const fileIds = new Set(files.map(file => file.id));
+
+      await this.findShareRecords(userId, fileIds, report);
+      await this.findDanglingContent(userId, files, report);
+      this.findUnreachableItems(files, report);
+      await this.findOldActivities(userId, activityRetentionDays, report);
+
+      if (!dryRun) {
+        await this.applyReport(userId, report);
+      }
+
+      report.finishedAt = new Date();
+      return report;
+    } catch (error) {
+      console.error('Error running maintenance:', error);
+      throw error;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * @param {boolean} dryRun Whether nothing is changed
+   * @returns {Object} Empty report
+   */
+  createReport(dryRun) {
+    return {
+      dryRun,
+      startedAt: new Date(),
+      finishedAt: null,
+      shareLinks: [],
+      userShares: [],
+      contents: [],
+      chunkSets: [],
+      refCounts: [],
+      unreachable: [],
+      activities: []
+    };
+  }
+
+  /**
+   * Count everything a report lists
+   * @param {Object} report Report
+   * @returns {number} Items found
+   */
+  getTotal(report) {
+    return report.shareLinks.length + report.userShares.length + report.contents.length +
+      report.chunkSets.length + report.refCounts.length + report.unreachable.length +
+      report.activities.length;
+  }
+
+  /**
+   * Share links and user shares the user created for files that are gone
+   * @param {string} userId User ID
+   * @param {Set<string>} fileIds IDs of the user's existing files
+   * @param {Object} report Report to fill
+   */
+  async findShareRecords(userId, fileIds, report) {
+    const [shareLinks, userShares] = await Promise.all([
+      firestoreManager.getOwnedDocuments('shareLinks', 'createdBy', userId),
+      firestoreManager.getOwnedDocuments('userShares', 'sharedBy', userId)
+    ]);
+
+    report.shareLinks = shareLinks
+      .filter(({ data }) => !fileIds.has(data.fileId))
+      .map(({ id, ref, data }) => ({ id, ref, fileId: data.fileId }));
+
+    report.userShares = userShares
+      .filter(({ data }) => !fileIds.has(data.fileId))
+      .map(({ id, ref, data }) => ({ id, ref, fileId: data.fileId, email: data.email }));
+  }
+
+  /**
+   * Content manifests no file references, chunks without a manifest or file,
+   * and manifests whose reference count is wrong
+   * @param {string} userId User ID
+   * @param {Array} files The user's files
+   * @param {Object} report Report to fill
+   */
+  async findDanglingContent(userId, files, report) {
+    const [manifests, chunkSets, pendingContentIds] = await Promise.all([
+      firestoreManager.getOwnedDocuments('fileContents', 'ownerId', userId),
+      firestoreManager.getOwnedChunkSets(userId),
+      this.getPendingContentIds(userId)
+    ]);
+
+    const references = new Map();
+    files.forEach(file => {
+      if (file.contentId) {
+        references.set(file.contentId, (references.get(file.contentId) || 0) + 1);
+      }
+    });
+
+    const cutoff = Date.now() - CONTENT_GRACE_PERIOD;
+    const manifestIds = new Set(manifests.map(({ id }) => id));
+    const fileIds = new Set(files.map(file => file.id));
+
+    manifests.forEach(({ id, data }) => {
+      const used = references.get(id) || 0;
+      const refCount = data.refCount ?? 1;
+
+      if (used === 0) {
+        const created = data.created?.toMillis?.() || 0;
+        if (created > cutoff || pendingContentIds.has(id)) return;
+        report.contents.push({ id, size: data.size || 0, chunkCount: data.chunkCount || 0 });
+      } else if (refCount !== used || data.deleting) {
+        report.refCounts.push({ id, from: refCount, to: used });
+      }
+    });
+
+    report.chunkSets = chunkSets
+      .filter(set => {
+        if (set.collection === 'fileContents') {
+          return !manifestIds.has(set.parentId) && !pendingContentIds.has(set.parentId);
+        }
+        // Legacy chunks under files/{id}/chunks
+        return set.collection === 'files' && !fileIds.has(set.parentId);
+      })
+      .map(set => ({ path: set.parentPath, refs: set.refs, count: set.refs.length }));
+  }
+
+  /**
+   * Content IDs of uploads this browser can still resume
+   * @param {string} userId User ID
+   * @returns {Promise<Set<string>>} Content IDs
+   */
+  async getPendingContentIds(userId) {
+    if (!uploadStore.isAvailable) return new Set();
+
+    try {
+      const pending = await uploadStore.getPendingUploads(userId);
+      return new Set(pending.map(record => record.checkpoint?.contentId).filter(Boolean));
+    } catch (error) {
+      return new Set();
+    }
+  }
+
+  /**
+   * Items whose parent folder no longer exists, so no view can reach them.
+   * Only the topmost unreachable item is listed; whatever is inside it
+   * still has its parent.
+   * @param {Array} files The user's files
+   * @param {Object} report Report to fill
+   */
+  findUnreachableItems(files, report) {
+    const folderPaths = new Set(
+      files
+        .filter(file => file.type === 'folder')
+        .map(getFolderPath)
+    );
+
+    report.unreachable = files
+      .filter(file => !file.trashed)
+      .filter(file => {
+        const path = normalizePath(file.path);
+        return path !== '' && !folderPaths.has(path);
+      })
+      .map(file => ({ id: file.id, name: file.name, path: normalizePath(file.path), type: file.type }));
+  }
+
+  /**
+   * Activity entries older than the retention period
+   * @param {string} userId User ID
+   * @param {number} retentionDays Days of activity to keep
+   * @param {Object} report Report to fill
+   */
+  async findOldActivities(userId, retentionDays, report) {
+    const before = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+    report.activityCutoff = before;
+    report.activities = await firestoreManager.getActivitiesBefore(userId, before);
+  }
+
+  /**
+   * Remove everything in a report
+   * @param {string} userId User ID
+   * @param {Object} report Report from a run
+   */
+  async applyReport(userId, report) {
+    await firestoreManager.deleteDocuments([
+      ...report.shareLinks.map(record => record.ref),
+      ...report.userShares.map(record => record.ref)
+    ]);
+
+    for (const content of report.contents) {
+      await firestoreManager.deleteFileContent(content.id);
+    }
+
+    await firestoreManager.deleteDocuments(report.chunkSets.flatMap(set => set.refs));
+
+    for (const { id, to } of report.refCounts) {
+      await firestoreManager.setContentRefCount(id, to);
+    }
+
+    // Trash rather than delete: the user decides whether these are kept
+    if (report.unreachable.length > 0) {
+      await firestoreManager.batchTrashFiles(report.unreachable.map(item => item.id), userId);
+    }
+
+    await firestoreManager.deleteDocuments(report.activities);
+
+    // Deleted content was never released, so rebuild the counters from scratch
+    await firestoreManager.recomputeUsage(userId);
+  }
+}
+
+// Create and export maintenance manager instance
+const maintenanceManager = new MaintenanceManager();
+
+export { maintenanceManager };
+export default maintenanceManager;
@@ -0,0 +1,75 @@
+/**
+ * Drive Nest - Folder Path Helpers
+ * Every files document stores `path`, the slash-separated path of the folder
+ * it is in ('' for My Files), the same string uploads are given. A folder's
+ * own path is its parent path joined with its name.
+ */
+
+/**
+ * @param {string|Array} path Path as stored or as currentPath segments
+ * @returns {string} Path without leading, trailing or doubled slashes
+ */
+export function normalizePath(path) {
+  const value = Array.isArray(path) ? path.join('/') : (path || '');
+  return value.split('/').filter(Boolean).join('/');
+}
+
+/**
+ * @param {string|Array} path Path
+ * @returns {string[]} Path segments (empty for My Files)
+ */
+export function splitPath(path) {
+  const normalized = normalizePath(path);
+  return normalized ? normalized.split('/') : [];
+}
+
+/**
+ * @param {string|Array} parent Parent folder path
+ * @param {string} name Item name
+ * @returns {string} Path of the item itself
+ */
+export function joinPath(parent, name) {
+  const parentPath = normalizePath(parent);
+  return parentPath ? `${parentPath}/${name}` : name;
+}
+
+/**
+ * @param {Object} folder Folder document (path, name)
+ * @returns {string} Path of the folder's contents
+ */
+export function getFolderPath(folder) {
+  return joinPath(folder.path, folder.name);
+}
+
+/**
+ * @param {string|Array} path Path
+ * @returns {string} Parent path ('' for top-level items and My Files)
+ */
+export function getParentPath(path) {
+  return splitPath(path).slice(0, -1).join('/');
+}
+
+/**
+ * Check whether a path is a folder or anywhere inside it
+ * @param {string|Array} path Path to test
+ * @param {string|Array} ancestor Folder path
+ * @returns {boolean} True for the folder itself and all of its descendants
+ */
+export function isWithinPath(path, ancestor) {
+  const value = normalizePath(path);
+  const folder = normalizePath(ancestor);
+  return folder === '' || value === folder || value.startsWith(`${folder}/`);
+}
+
+/**
+ * Check a folder name before it becomes part of a path
+ * @param {string} name Folder name
+ * @returns {string|null} Why the name can't be used, or null if it can
+ */
+export function validateFolderName(name) {
+  const trimmed = (name || '').trim();
+  if (!trimmed) return 'Folder name cannot be empty';
+  if (trimmed.includes('/')) return 'Folder names cannot contain "/"';
+  if (trimmed === '.' || trimmed === '..') return 'That folder name is reserved';
+  return null;
+}
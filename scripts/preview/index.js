@@ -275,6 +275,10 @@ class FilePreviewRouter {
    * @returns {Object} Preview controller
    */
   createErrorPreview(file, url, container, error) {
+    if (error?.code === 'file-corrupted') {
+      return this.createCorruptedPreview(file, container, error);
+    }
+
     container.innerHTML = `
       <div class="preview-error">
         <div class="error-content">
@@ -319,6 +323,40 @@ class FilePreviewRouter {
     };
   }
 
+  /**
+   * Error state for content that failed its integrity check. There is no
+   * download button: the bytes are known to be wrong.
+   * @param {Object} file File object
+   * @param {Element} container Container element
+   * @param {Error} error Error with code 'file-corrupted'
+   * @returns {Object} Preview controller
+   */
+  createCorruptedPreview(file, container, error) {
+    container.innerHTML = `
+      <div class="preview-error preview-corrupted">
+        <div class="error-content">
+          <div class="error-icon">🛑</div>
+          <h3>File corrupted</h3>
+          <p><strong>${file.name}</strong> could not be shown because its stored content is damaged.</p>
+          <div class="error-details">
+            <small>${error.message}</small>
+          </div>
+          <p>Upload the file again from your original copy to replace it.</p>
+        </div>
+      </div>
+    `;
+
+    return {
+      file,
+      url: null,
+      container,
+      error,
+      destroy: () => {
+        container.innerHTML = '';
+      }
+    };
+  }
+
   /**
    * Destroy current preview
    */
@@ -0,0 +1,140 @@
+/**
+ * Drive Nest - Quota Module
+ * Resolves a user's storage quota and per-file size limit. Defaults come
+ * from storageConfig in firebase-config.js; users/{uid}.quota can override
+ * either value for a single user (set by an admin, users can't write it).
+ * Usage is counted in users/{uid}.usage, which the owner can write, so the
+ * quota is only enforced by the app; the security rules just cap the size
+ * of each file.
+ */
+
+import { storageConfig } from './firebase-config.js';
+import firestoreManager from './firestore.js';
+
+const DEFAULT_STORAGE_QUOTA = 1024 * 1024 * 1024; // 1GB
+const DEFAULT_MAX_FILE_SIZE = 100 * 1024 * 1024; // 100MB
+
+class QuotaManager {
+  constructor() {
+    this.userId = null;
+    this.overrides = {};
+  }
+
+  /**
+   * Load a user's quota overrides
+   * @param {string} userId User ID
+   * @returns {Promise<Object>} Effective limits (see getLimits)
+   */
+  async load(userId) {
+    try {
+      const userDoc = await firestoreManager.getUserDoc(userId);
+      this.userId = userId;
+      this.overrides = userDoc.quota || {};
+      return this.getLimits();
+    } catch (error) {
+      console.error('Error loading quota:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Forget the loaded overrides (on sign out)
+   */
+  reset() {
+    this.userId = null;
+    this.overrides = {};
+  }
+
+  /**
+   * @returns {number} Total storage the user may use, in bytes
+   */
+  getStorageQuota() {
+    return this.pickLimit(this.overrides.storageQuota, storageConfig?.storageQuota, DEFAULT_STORAGE_QUOTA);
+  }
+
+  /**
+   * Largest file the user may upload, never above what the backend can hold
+   * @param {Object} [backend] Storage backend (its maxFileSize caps the limit)
+   * @returns {number} Size in bytes
+   */
+  getMaxFileSize(backend) {
+    const limit = this.pickLimit(this.overrides.maxFileSize, storageConfig?.maxFileSize, DEFAULT_MAX_FILE_SIZE);
+    return backend?.maxFileSize ? Math.min(limit, backend.maxFileSize) : limit;
+  }
+
+  /**
+   * @param {Object} [backend] Storage backend
+   * @returns {{storageQuota: number, maxFileSize: number}} Effective limits
+   */
+  getLimits(backend) {
+    return {
+      storageQuota: this.getStorageQuota(),
+      maxFileSize: this.getMaxFileSize(backend)
+    };
+  }
+
+  /**
+   * Read how much of the quota is left. Throws rather than guessing when
+   * usage can't be read, so the quota is never silently skipped.
+   * @param {string} userId User ID
+   * @returns {Promise<{used: number, quota: number, remaining: number}>} Bytes
+   */
+  async getRemaining(userId) {
+    let usage;
+    try {
+      usage = await firestoreManager.getUsage(userId);
+    } catch (error) {
+      console.error('Could not check storage usage:', error);
+      throw new Error('Could not check your storage usage, so nothing was uploaded. Please try again.');
+    }
+
+    const used = usage.physical || 0;
+    const quota = this.getStorageQuota();
+    return { used, quota, remaining: Math.max(quota - used, 0) };
+  }
+
+  /**
+   * Throw a readable error unless more bytes fit in the user's quota
+   * @param {string} userId User ID
+   * @param {number} size Bytes about to be stored
+   * @returns {Promise<void>}
+   */
+  async ensureSpace(userId, size) {
+    const { quota, remaining } = await this.getRemaining(userId);
+    if (size > remaining) {
+      throw new Error(
+        `Storage quota exceeded. This file needs ${this.formatFileSize(size)} but only ` +
+        `${this.formatFileSize(remaining)} of your ${this.formatFileSize(quota)} is left. ` +
+        'Free up space or empty the trash to upload it.'
+      );
+    }
+  }
+
+  /**
+   * Format bytes for messages
+   * @param {number} bytes Size in bytes
+   * @returns {string} Formatted size
+   */
+  formatFileSize(bytes) {
+    if (bytes <= 0) return '0 B';
+    const k = 1024;
+    const sizes = ['B', 'KB', 'MB', 'GB', 'TB'];
+    const i = Math.floor(Math.log(bytes) / Math.log(k));
+    return parseFloat((bytes / Math.pow(k, i)).toFixed(1)) + ' ' + sizes[i];
+  }
+
+  /**
+   * First positive number among the candidates
+   * @param {...*} candidates Override, configured value, default
+   * @returns {number} Limit in bytes
+   */
+  pickLimit(...candidates) {
+    return candidates.find(value => Number.isFinite(value) && value > 0);
+  }
+}
+
+// Create and export quota manager instance
+const quotaManager = new QuotaManager();
+
+export { quotaManager };
+export default quotaManager;
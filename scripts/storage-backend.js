@@ -0,0 +1,92 @@
+/**
+ * Drive Nest - Storage Backend Module
+ * Defines the storage backend contract and selects the configured backend
+ */
+
+import { storageConfig } from './firebase-config.js';
+import firestoreStorageManager from './storage-firestore.js';
+import storageManager from './storage.js';
+import hybridStorageManager from './storage-hybrid.js';
+
+/**
+ * Contract every storage backend implements. File metadata always lives in
+ * the Firestore files collection; a backend only decides where the bytes go.
+ *
+ * @typedef {Object} StorageBackend
+ * @property {string} name Backend name, recorded as `backend` on file documents
+ * @property {number} maxFileSize Largest single file the backend can hold, in
+ *   bytes; quotaManager.getMaxFileSize(backend) gives the limit for the user
+ * @property {function(File, string): Promise<boolean>} canUploadFile
+ *   Resolves when the file fits (userId as second argument), throws otherwise
+ * @property {function(File, string, function(Object)=, Object=): Promise<Object>} uploadFile
+ *   Stores content and the file document under a folder path. onProgress
+ *   receives `{ bytesTransferred, totalBytes, state, checkpoint }` where state
+ *   is 'running', 'success' or 'error'. Passing the last `checkpoint` back as
+ *   the fourth argument resumes an interrupted upload
+ * @property {function(string): Promise<string>} getDownloadURL
+ *   URL for the content of a file (by ID or path)
+ * @property {function(string): Promise<void>} deleteFile
+ *   Permanently removes a file's content and its document
+ * @property {function(string): Promise<Object>} getFileMetadata
+ *   `{ name, size, contentType, timeCreated, updated, ... }`
+ * @property {function(string): Promise<Object>} getStorageUsage
+ *   `{ used, logical, physical, available, fileCount, quota }` for the files
+ *   this backend holds. logical counts every file at full size, physical
+ *   counts stored bytes with shared content once; used equals physical.
+ *   quota is the user's account-wide quota from quota.js
+ * @property {function(string): Promise<number>} migrateLegacyContent
+ *   One-time upgrade of older documents; resolves to the number migrated
+ */
+
+const BACKEND_METHODS = [
+  'canUploadFile',
+  'uploadFile',
+  'getDownloadURL',
+  'deleteFile',
+  'getFileMetadata',
+  'getStorageUsage',
+  'migrateLegacyContent'
+];
+
+const DEFAULT_BACKEND = 'firestore';
+
+const backends = new Map();
+
+/**
+ * Register a storage backend under a name
+ * @param {string} name Backend name used in storageConfig.backend
+ * @param {StorageBackend} backend Backend implementation
+ */
+export function registerStorageBackend(name, backend) {
+  const missing = BACKEND_METHODS.filter(method => typeof backend[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Storage backend "${name}" is missing: ${missing.join(', ')}`);
+  }
+
+  backends.set(name, backend);
+}
+
+/**
+ * Get a registered storage backend
+ * @param {string} name Backend name (defaults to storageConfig.backend)
+ * @returns {StorageBackend} Backend implementation
+ */
+export function getStorageBackend(name = storageConfig?.backend || DEFAULT_BACKEND) {
+  const backend = backends.get(name);
+  if (!backend) {
+    console.warn(`Unknown storage backend "${name}", falling back to "${DEFAULT_BACKEND}"`);
+    return backends.get(DEFAULT_BACKEND);
+  }
+
+  return backend;
+}
+
+registerStorageBackend('firestore', firestoreStorageManager);
+registerStorageBackend('storage', storageManager);
+registerStorageBackend('hybrid', hybridStorageManager);
+
+// Backend selected in firebase-config.js
+const storageBackend = getStorageBackend();
+console.log('Storage backend:', storageBackend.name);
+
+export default storageBackend;
@@ -1,17 +1,29 @@
 // Firestore-only Storage Manager for Firebase Free Tier
-// Stores files < 1MB as base64 in Firestore documents
+// Keeps files documents metadata-only; content is stored as raw Firestore
+// Bytes in ordered chunk documents under fileContents/{contentId}/chunks
 
 import { firestoreManager } from './firestore.js';
+import vaultManager from './vault.js';
+import contentCodec from './content-codec.js';
+import quotaManager from './quota.js';
 
 class FirestoreStorageManager {
     constructor() {
+        this.name = 'firestore';
         this.isDemoMode = this.checkDemoMode();
-        this.maxFileSize = 1024 * 1024; // 1MB limit for Firestore documents
-        this.maxTotalSize = 1024 * 1024 * 1024; // 1GB total storage limit for free tier
+        this.maxFileSize = 50 * 1024 * 1024; // 50MB limit, stored as chunks (user limits in quota.js may be lower)
+        this.chunkSize = 900 * 1024; // 900KB per chunk, leaves headroom under the 1MB document limit
+        this.objectURLs = new Map(); // Reassembled Blob URLs by file ID
+        this.streamMinSize = 8 * 1024 * 1024; // Larger content is streamed into downloads, not read whole
         
         if (this.isDemoMode) {
             console.log('Firestore Storage Manager: Running in Demo Mode');
         }
+
+        // Cached URLs may hold decrypted content; drop them when the vault locks
+        document.addEventListener('vaultStateChanged', (e) => {
+            if (!e.detail.unlocked) this.revokeAllObjectURLs();
+        });
     }
 
     checkDemoMode() {
@@ -23,15 +35,28 @@ class FirestoreStorageManager {
     }
 
     /**
-     * Convert file to base64 for Firestore storage
+     * Decode stored chunk data into bytes. Current chunks hold Firestore
+     * Bytes; older ones hold a base64 string or a full data: URL.
      */
-    async fileToBase64(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            reader.readAsDataURL(file);
-            reader.onload = () => resolve(reader.result);
-            reader.onerror = error => reject(error);
-        });
+    chunkDataToBytes(data) {
+        if (typeof data?.toUint8Array === 'function') {
+            return data.toUint8Array();
+        }
+
+        const text = String(data || '');
+        return this.base64ToBytes(text.startsWith('data:') ? text.slice(text.indexOf(',') + 1) : text);
+    }
+
+    /**
+     * Decode a bare base64 string into bytes
+     */
+    base64ToBytes(base64) {
+        const binary = atob(base64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
     }
 
     /**
@@ -39,27 +64,22 @@ class FirestoreStorageManager {
      */
     async canUploadFile(file, userId) {
         // Check file size
-        if (file.size > this.maxFileSize) {
-            throw new Error(`File too large. Maximum size is ${this.formatFileSize(this.maxFileSize)} for free tier.`);
+        const maxFileSize = quotaManager.getMaxFileSize(this);
+        if (file.size > maxFileSize) {
+            throw new Error(`File too large. Maximum size is ${this.formatFileSize(maxFileSize)}.`);
         }
 
-        // Check total storage usage
-        try {
-            const usage = await this.getStorageUsage(userId);
-            if (usage.used + file.size > this.maxTotalSize) {
-                throw new Error(`Storage quota exceeded. Maximum storage is ${this.formatFileSize(this.maxTotalSize)}.`);
-            }
-        } catch (error) {
-            console.warn('Could not check storage usage:', error);
-        }
+        // The quota covers every backend; errors reading usage stop the upload
+        await quotaManager.ensureSpace(userId, file.size);
 
         return true;
     }
 
     /**
-     * Upload file to Firestore as base64
+     * Upload file to Firestore as binary chunks. Pass the checkpoint from an
+     * earlier progress event to continue after the last committed chunk.
      */
-    async uploadFile(file, path, onProgress) {
+    async uploadFile(file, path, onProgress, checkpoint = null) {
         if (this.isDemoMode) {
             return this.uploadFileDemo(file, path, onProgress);
         }
@@ -72,40 +92,30 @@ class FirestoreStorageManager {
 
             const userId = user.uid;
 
-            // Check if file can be uploaded
+            // Refused on the original size before any bytes are read, also
+            // when the content turns out to be shared
             await this.canUploadFile(file, userId);
 
-            // Convert to base64
-            const base64Data = await this.fileToBase64(file);
-            
-            // Simulate progress for better UX
-            if (onProgress) {
-                const progressIntervals = [10, 30, 50, 70, 85, 95, 100];
-                let currentProgress = 0;
-                
-                const progressTimer = setInterval(() => {
-                    if (currentProgress < progressIntervals.length - 1) {
-                        currentProgress++;
-                        const progress = progressIntervals[currentProgress];
-                        onProgress({ 
-                            bytesTransferred: (file.size * progress) / 100,
-                            totalBytes: file.size,
-                            state: 'running'
-                        });
-                    }
-                }, 100);
-
-                // Clear timer after upload completes
-                setTimeout(() => clearInterval(progressTimer), 1000);
-            }
+            // Identical content the user already stored is shared instead of
+            // uploaded again (the hash is of the original bytes)
+            const contentHash = await contentCodec.checksum(file);
+            const stored = await this.acquireSharedContent(userId, contentHash, checkpoint?.fileId) ||
+                await this.storeContent(file, userId, onProgress, checkpoint, contentHash);
 
             // Create file document for Firestore
             const fileDoc = {
-                id: this.generateFileId(),
+                id: stored.fileId,
                 name: file.name,
                 size: file.size,
+                originalSize: file.size,
+                storedSize: stored.storedSize,
+                compression: stored.compression,
+                contentHash,
                 type: file.type,
-                data: base64Data,
+                backend: this.name,
+                contentId: stored.contentId,
+                encrypted: stored.encrypted,
+                iv: stored.iv,
                 path: path,
                 uploadedBy: userId,
                 ownerId: userId, // Add both for compatibility
@@ -118,12 +128,18 @@ class FirestoreStorageManager {
                 tags: [],
                 sharedWith: []
             };
+            const fileId = fileDoc.id;
 
             console.log('Saving file with path:', path);
             console.log('File document:', fileDoc);
 
-            // Save to Firestore
-            await firestoreManager.saveFile(fileDoc);
+            // Save to Firestore, dropping the content reference if that fails
+            try {
+                await firestoreManager.saveFile(fileDoc);
+            } catch (error) {
+                await firestoreManager.releaseFileContent(fileDoc.contentId).catch(() => {});
+                throw error;
+            }
 
             // Log activity
             await firestoreManager.logActivity({
@@ -143,9 +159,13 @@ class FirestoreStorageManager {
                 });
             }
 
+            // The local file already holds the bytes, no need to reassemble
+            const url = URL.createObjectURL(file);
+            this.objectURLs.set(fileId, url);
+
             return { 
-                url: base64Data,
-                downloadURL: base64Data,
+                url: url,
+                downloadURL: url,
                 path: path,
                 userId: userId,
                 fileName: file.name,
@@ -174,6 +194,296 @@ class FirestoreStorageManager {
         }
     }
 
+    /**
+     * Reference content with the same hash if the user already stored it
+     * @returns {Promise<Object|null>} Stored content details, or null to upload
+     */
+    async acquireSharedContent(userId, contentHash, fileId) {
+        // Encrypted files get their own IV, so their content is never shared
+        if (vaultManager.isConfigured()) return null;
+
+        try {
+            const existing = await firestoreManager.findFileContentByHash(userId, contentHash);
+            const content = existing && await firestoreManager.acquireFileContent(existing.id);
+            if (!content) return null;
+
+            console.log(`Deduplicated upload: sharing content ${content.id} (${content.refCount} references)`);
+            return {
+                fileId: fileId || this.generateFileId(),
+                contentId: content.id,
+                compression: content.compression || '',
+                encrypted: false,
+                iv: '',
+                storedSize: content.size
+            };
+        } catch (error) {
+            // Deduplication is an optimisation, fall back to a normal upload
+            console.warn('Could not check for duplicate content:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Encode and upload a file's content, continuing from a checkpoint when
+     * one matches. Progress follows committed chunks.
+     * @returns {Promise<Object>} Stored content details
+     */
+    async storeContent(file, userId, onProgress, checkpoint, contentHash) {
+        // Chunks are only reusable if they were cut at the current size
+        // and encrypted (or not) the same way
+        const canResume = checkpoint?.backend === this.name &&
+            checkpoint.chunkSize === this.chunkSize &&
+            Boolean(checkpoint.iv) === vaultManager.isConfigured();
+
+        // Compressed and/or encrypted before storing; a resumed upload
+        // reuses its IV so the ciphertext matches what was committed
+        const encoded = await contentCodec.encode(file, { iv: canResume ? checkpoint.iv : undefined });
+        const { blob: content, compression, encrypted, iv } = encoded;
+
+        // Limits apply to the bytes actually stored
+        await this.canUploadFile(content, userId);
+
+        const resuming = canResume &&
+            (checkpoint.compression || '') === compression &&
+            checkpoint.storedSize === content.size;
+        const fileId = resuming ? checkpoint.fileId : (checkpoint?.fileId || this.generateFileId());
+        const contentId = resuming ? checkpoint.contentId : fileId;
+        const startIndex = resuming ? checkpoint.committedChunks : 0;
+
+        // Chunks committed under another encoding can't be reused, and any
+        // beyond the new chunk count would be read back with the content
+        if (!resuming && checkpoint?.contentId) {
+            await firestoreManager.deleteFileContent(checkpoint.contentId);
+        }
+
+        if (startIndex > 0) {
+            console.log(`Resuming ${file.name} after chunk ${startIndex}`);
+        }
+
+        // Write the content before the file document so a file never
+        // shows up in listings without its content; 'success' waits for
+        // the file document
+        await this.uploadContent(contentId, content, userId, (bytesWritten, committedChunks) => {
+            if (onProgress) {
+                onProgress({
+                    bytesTransferred: Math.min(bytesWritten, content.size),
+                    totalBytes: content.size,
+                    state: 'running',
+                    checkpoint: {
+                        backend: this.name,
+                        fileId,
+                        contentId,
+                        chunkSize: this.chunkSize,
+                        committedChunks,
+                        compression,
+                        storedSize: content.size,
+                        iv
+                    }
+                });
+            }
+        }, startIndex, { hash: contentHash, compression, encrypted });
+
+        return { fileId, contentId, compression, encrypted, iv, storedSize: encoded.storedSize };
+    }
+
+    /**
+     * Store a file's bytes as ordered chunk documents plus a content manifest.
+     * onChunkWritten receives the bytes and chunks committed after each chunk;
+     * startIndex skips chunks an interrupted upload already committed;
+     * details (hash, compression, encrypted) are recorded on the manifest.
+     * @returns {Promise<number>} Number of chunks written
+     */
+    async uploadContent(contentId, blob, userId, onChunkWritten, startIndex = 0, details = {}) {
+        const chunkCount = Math.max(1, Math.ceil(blob.size / this.chunkSize));
+
+        try {
+            for (let index = Math.min(startIndex, chunkCount); index < chunkCount; index++) {
+                const start = index * this.chunkSize;
+                const chunk = blob.slice(start, Math.min(start + this.chunkSize, blob.size));
+                const chunkBytes = new Uint8Array(await chunk.arrayBuffer());
+                await firestoreManager.saveContentChunk(contentId, index, chunkBytes, userId);
+
+                if (onChunkWritten) {
+                    onChunkWritten(start + chunk.size, index + 1);
+                }
+            }
+
+            await firestoreManager.saveFileContent({
+                id: contentId,
+                ownerId: userId,
+                size: blob.size,
+                type: blob.type,
+                chunkCount,
+                chunkSize: this.chunkSize,
+                ...details
+            });
+        } catch (error) {
+            // Don't leave partial content behind
+            await firestoreManager.deleteFileContent(contentId).catch(cleanupError => {
+                console.warn('Could not clean up partial content:', cleanupError);
+            });
+            throw error;
+        }
+
+        return chunkCount;
+    }
+
+    /**
+     * Load a file's content as a Blob, whichever layout it is stored in
+     */
+    async readContent(fileDoc) {
+        const type = this.getContentType(fileDoc);
+
+        // Legacy: base64 data URL inline on the file document
+        if (!fileDoc.contentId && fileDoc.data) {
+            return new Blob([this.chunkDataToBytes(fileDoc.data)], { type });
+        }
+
+        // Legacy: chunks under files/{id}/chunks
+        if (!fileDoc.contentId && fileDoc.chunked) {
+            const chunks = await firestoreManager.getLegacyFileChunks(fileDoc.id);
+            return this.assembleChunks(chunks, fileDoc.chunkCount, type);
+        }
+
+        if (!fileDoc.contentId) {
+            throw new Error('File has no stored content');
+        }
+
+        const content = await firestoreManager.getFileContent(fileDoc.contentId);
+        if (!content) {
+            throw new Error('File content not found');
+        }
+
+        const chunks = await firestoreManager.getContentChunks(fileDoc.contentId);
+        return this.assembleChunks(chunks, content.chunkCount, type || content.type);
+    }
+
+    /**
+     * Open a file's content as a stream that reads one chunk at a time, so a
+     * large file is never held in memory whole; gzipped content is inflated
+     * as it streams. The checksum needs the whole content, so streamed
+     * content is only checked for missing chunks and its stored size.
+     * Small, encrypted and legacy content is read whole instead.
+     * @returns {Promise<ReadableStream<Uint8Array>|null>} Content, or null
+     *   if it should be read whole through getDownloadURL
+     */
+    async openContentStream(pathOrId) {
+        if (this.isDemoMode) return null;
+
+        const fileDoc = await firestoreManager.getFileByPath(pathOrId);
+        if (!fileDoc) {
+            throw new Error('File not found');
+        }
+
+        if (!fileDoc.contentId || fileDoc.encrypted || this.objectURLs.has(fileDoc.id) ||
+            (fileDoc.storedSize || fileDoc.size || 0) < this.streamMinSize ||
+            (fileDoc.compression === 'gzip' && !contentCodec.supportsCompression)) {
+            return null;
+        }
+
+        const content = await firestoreManager.getFileContent(fileDoc.contentId);
+        if (!content) {
+            throw new Error('File content not found');
+        }
+
+        let index = 0;
+        let bytesRead = 0;
+        const stream = new ReadableStream({
+            pull: async (controller) => {
+                if (index === content.chunkCount) {
+                    if (bytesRead !== content.size) {
+                        throw contentCodec.createCorruptedError(`${bytesRead} of ${content.size} bytes were found`);
+                    }
+                    controller.close();
+                    return;
+                }
+
+                const chunk = await firestoreManager.getContentChunk(fileDoc.contentId, index);
+                if (!chunk) {
+                    throw contentCodec.createCorruptedError(`chunk ${index + 1} of ${content.chunkCount} is missing`);
+                }
+
+                const bytes = this.chunkDataToBytes(chunk.data);
+                index++;
+                bytesRead += bytes.length;
+                controller.enqueue(bytes);
+            }
+        });
+
+        return fileDoc.compression === 'gzip' ? stream.pipeThrough(new DecompressionStream('gzip')) : stream;
+    }
+
+    /**
+     * Reassemble ordered chunk documents into a Blob
+     */
+    assembleChunks(chunks, expectedCount, type) {
+        if (chunks.length !== expectedCount) {
+            throw contentCodec.createCorruptedError(`only ${chunks.length} of ${expectedCount} chunks were found`);
+        }
+
+        const parts = chunks.map(chunk => this.chunkDataToBytes(chunk.data));
+        return new Blob(parts, { type: type || 'application/octet-stream' });
+    }
+
+    /**
+     * MIME type to rebuild content with: the recorded type, else one
+     * guessed from the file name (browsers leave type empty for many files)
+     */
+    getContentType(fileDoc) {
+        if (fileDoc.type) return fileDoc.type;
+
+        const extension = fileDoc.name?.includes('.') ? fileDoc.name.split('.').pop() : '';
+        return extension ? this.getMimeType(extension) : '';
+    }
+
+    /**
+     * One-time migration: move inline `data` and files/{id}/chunks content
+     * into fileContents so files documents become metadata-only
+     * @returns {Promise<number>} Number of files migrated
+     */
+    async migrateLegacyContent(userId) {
+        if (this.isDemoMode) return 0;
+
+        const userDoc = await firestoreManager.getUserDoc(userId);
+        if (userDoc.migrations?.contentSeparated) return 0;
+
+        const files = await firestoreManager.getAllUserFiles(userId);
+        const legacyFiles = files.filter(file => !file.contentId && (file.data || file.chunked));
+        let migrated = 0;
+
+        for (const file of legacyFiles) {
+            try {
+                const blob = await this.readContent(file);
+                // Whoever the file is shared with keeps reading its content
+                await this.uploadContent(file.id, blob, userId, null, 0, { sharedWith: file.sharedWith });
+                await firestoreManager.setFileContentRef(file.id, file.id);
+
+                if (file.chunked) {
+                    await firestoreManager.deleteLegacyFileChunks(file.id);
+                }
+
+                migrated++;
+            } catch (error) {
+                // Leave the file as-is; it stays readable through the legacy path
+                console.error('Could not migrate content for file:', file.id, error);
+            }
+        }
+
+        // Migrated files now count through their manifests, not inline
+        if (migrated > 0) {
+            await firestoreManager.recomputeUsage(userId);
+        }
+
+        if (migrated === legacyFiles.length) {
+            await firestoreManager.updateUserDoc(userId, {
+                migrations: { contentSeparated: true }
+            });
+        }
+
+        console.log(`Content migration: ${migrated} of ${legacyFiles.length} files moved to fileContents`);
+        return migrated;
+    }
+
     // Demo mode file upload simulation
     async uploadFileDemo(file, path, onProgress) {
         console.log('Demo Mode: Simulating file upload for:', file.name);
@@ -222,7 +532,7 @@ class FirestoreStorageManager {
     }
 
     /**
-     * Get download URL (return base64 data URL)
+     * Get download URL (Blob URL of the reassembled content)
      */
     async getDownloadURL(pathOrId) {
         console.log('getDownloadURL called with:', pathOrId);
@@ -236,16 +546,26 @@ class FirestoreStorageManager {
             const fileDoc = await firestoreManager.getFileByPath(pathOrId);
             console.log('Retrieved file document:', fileDoc);
             
-            if (!fileDoc || !fileDoc.data) {
-                console.error('File document missing or no data:', fileDoc);
-                throw new Error('File not found or no data available');
+            if (!fileDoc) {
+                throw new Error('File not found');
             }
-            
-            return fileDoc.data; // Return base64 data URL
+
+            if (this.objectURLs.has(fileDoc.id)) {
+                return this.objectURLs.get(fileDoc.id);
+            }
+
+            const stored = await this.readContent(fileDoc);
+            const blob = await contentCodec.decode(stored, fileDoc);
+            const objectURL = URL.createObjectURL(blob);
+            this.objectURLs.set(fileDoc.id, objectURL);
+            return objectURL;
             
         } catch (error) {
             console.error('Get URL error:', error);
-            throw new Error(`Failed to get file: ${error.message}`);
+            // Keep the code so callers can show a corrupted file as such
+            const wrapped = new Error(`Failed to get file: ${error.message}`);
+            wrapped.code = error.code;
+            throw wrapped;
         }
     }
 
@@ -265,7 +585,7 @@ class FirestoreStorageManager {
     }
 
     /**
-     * Delete file from Firestore
+     * Permanently delete a file's content and its metadata document
      */
     async deleteFile(pathOrId) {
         if (this.isDemoMode) {
@@ -286,25 +606,16 @@ class FirestoreStorageManager {
             }
 
             // Check ownership
-            if (fileDoc.uploadedBy !== userId) {
+            if (fileDoc.uploadedBy !== userId && fileDoc.ownerId !== userId) {
                 throw new Error('Permission denied');
             }
 
-            // Move to trash instead of permanent delete
-            await firestoreManager.updateFile(fileDoc.id, {
-                trashed: true,
-                trashedAt: new Date()
-            });
-
-            // Log activity
-            await firestoreManager.logActivity({
-                userId,
-                action: 'delete',
-                fileName: fileDoc.name,
-                timestamp: new Date()
-            });
+            // Trashing is a metadata change (FirestoreService.trashFile);
+            // this removes the content for good
+            await firestoreManager.permanentDeleteFile(fileDoc.id, userId);
 
-            console.log('File moved to trash:', fileDoc.name);
+            this.revokeObjectURL(fileDoc.id);
+            console.log('File permanently deleted:', fileDoc.name);
             
         } catch (error) {
             console.error('Delete error:', error);
@@ -370,45 +681,47 @@ class FirestoreStorageManager {
     }
 
     /**
-     * Get storage usage for user
+     * Get storage used by the files this backend holds
      */
     async getStorageUsage(userId) {
+        // Account-wide quota; each backend reports its own share of usage
+        const quota = quotaManager.getStorageQuota();
+
         if (this.isDemoMode) {
             return {
                 used: Math.floor(Math.random() * 500000000), // Random usage up to 500MB
-                available: this.maxTotalSize - Math.floor(Math.random() * 500000000),
+                available: quota - Math.floor(Math.random() * 500000000),
                 fileCount: Math.floor(Math.random() * 100),
-                quota: this.maxTotalSize
+                quota
             };
         }
 
         try {
-            const files = await firestoreManager.getUserFiles(userId);
-            
-            let totalSize = 0;
-            let fileCount = 0;
-            
-            files.forEach(file => {
-                if (!file.trashed) {
-                    totalSize += file.size || 0;
-                    fileCount++;
-                }
-            });
-            
+            // Logical: what the user sees, every non-trashed file at full size.
+            // Physical: what is stored, each shared content counted once
+            // (trashed files keep their content until deleted).
+            const usage = await firestoreManager.getUsage(userId);
+            const own = usage.byBackend?.[this.name] || {};
+            const physical = own.physical || 0;
+
             return {
-                used: totalSize,
-                available: this.maxTotalSize - totalSize,
-                fileCount: fileCount,
-                quota: this.maxTotalSize
+                used: physical,
+                logical: own.logical || 0,
+                physical,
+                available: quota - physical,
+                fileCount: own.count || 0,
+                quota
             };
             
         } catch (error) {
             console.error('Storage usage error:', error);
             return {
                 used: 0,
-                available: this.maxTotalSize,
+                logical: 0,
+                physical: 0,
+                available: quota,
                 fileCount: 0,
-                quota: this.maxTotalSize
+                quota
             };
         }
     }
@@ -463,6 +776,25 @@ class FirestoreStorageManager {
         }
     }
 
+    /**
+     * Release a cached Blob URL
+     */
+    revokeObjectURL(fileId) {
+        const objectURL = this.objectURLs.get(fileId);
+        if (objectURL) {
+            URL.revokeObjectURL(objectURL);
+            this.objectURLs.delete(fileId);
+        }
+    }
+
+    /**
+     * Release every cached Blob URL
+     */
+    revokeAllObjectURLs() {
+        this.objectURLs.forEach(objectURL => URL.revokeObjectURL(objectURL));
+        this.objectURLs.clear();
+    }
+
     /**
      * Generate unique file ID
      */
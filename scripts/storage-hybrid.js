@@ -0,0 +1,121 @@
+// Hybrid Storage Manager
+// Routes small files to Firestore chunk documents and large files to
+// Firebase Storage. Each file document records the backend holding its
+// content, so reads and deletes dispatch to the right one.
+
+import { storageConfig } from './firebase-config.js';
+import { firestoreManager } from './firestore.js';
+import firestoreStorageManager from './storage-firestore.js';
+import storageManager from './storage.js';
+import quotaManager from './quota.js';
+
+const DEFAULT_HYBRID_THRESHOLD = 1024 * 1024; // 1MB
+
+class HybridStorageManager {
+    constructor() {
+        this.name = 'hybrid';
+        this.backends = new Map([
+            [firestoreStorageManager.name, firestoreStorageManager],
+            [storageManager.name, storageManager]
+        ]);
+        this.threshold = storageConfig?.hybridThreshold || DEFAULT_HYBRID_THRESHOLD;
+        this.maxFileSize = Math.max(firestoreStorageManager.maxFileSize, storageManager.maxFileSize);
+    }
+
+    /**
+     * Pick the backend a new upload goes to
+     */
+    getUploadBackend(file) {
+        return file.size < this.threshold ? firestoreStorageManager : storageManager;
+    }
+
+    /**
+     * Get the backend holding an existing file's content
+     */
+    async getFileBackend(pathOrId) {
+        const fileDoc = await firestoreManager.getFileByPath(pathOrId);
+        if (!fileDoc) {
+            throw new Error('File not found');
+        }
+
+        // Documents written before backends were recorded are Firestore-held
+        return this.backends.get(fileDoc.backend || firestoreStorageManager.name) || firestoreStorageManager;
+    }
+
+    /**
+     * Check if file can be uploaded to the backend it would be routed to
+     */
+    async canUploadFile(file, userId) {
+        return this.getUploadBackend(file).canUploadFile(file, userId);
+    }
+
+    /**
+     * Upload file to the backend chosen by size
+     */
+    async uploadFile(file, path, onProgress, checkpoint) {
+        const backend = this.getUploadBackend(file);
+        console.log(`Hybrid storage: routing ${file.name} (${file.size} bytes) to ${backend.name}`);
+        return backend.uploadFile(file, path, onProgress, checkpoint);
+    }
+
+    /**
+     * Get download URL from the backend holding the file
+     */
+    async getDownloadURL(pathOrId) {
+        const backend = await this.getFileBackend(pathOrId);
+        return backend.getDownloadURL(pathOrId);
+    }
+
+    /**
+     * Permanently delete a file from the backend holding it
+     */
+    async deleteFile(pathOrId) {
+        const backend = await this.getFileBackend(pathOrId);
+        return backend.deleteFile(pathOrId);
+    }
+
+    /**
+     * Get file metadata from the backend holding the file
+     */
+    async getFileMetadata(pathOrId) {
+        const backend = await this.getFileBackend(pathOrId);
+        return backend.getFileMetadata(pathOrId);
+    }
+
+    /**
+     * Combined storage usage across both backends
+     */
+    async getStorageUsage(userId) {
+        const usages = await Promise.all(
+            Array.from(this.backends.values()).map(backend => backend.getStorageUsage(userId))
+        );
+
+        const used = usages.reduce((sum, usage) => sum + usage.used, 0);
+        // Both backends report the same account-wide quota
+        const quota = quotaManager.getStorageQuota();
+
+        return {
+            used,
+            logical: usages.reduce((sum, usage) => sum + (usage.logical ?? usage.used), 0),
+            physical: usages.reduce((sum, usage) => sum + (usage.physical ?? usage.used), 0),
+            available: quota - used,
+            fileCount: usages.reduce((sum, usage) => sum + usage.fileCount, 0),
+            quota,
+            byBackend: Object.fromEntries(
+                Array.from(this.backends.keys()).map((name, index) => [name, usages[index]])
+            )
+        };
+    }
+
+    /**
+     * Only Firestore-held documents predate the current layout
+     */
+    async migrateLegacyContent(userId) {
+        return firestoreStorageManager.migrateLegacyContent(userId);
+    }
+}
+
+// Create and export the hybrid storage manager
+const hybridStorageManager = new HybridStorageManager();
+export { hybridStorageManager };
+export default hybridStorageManager;
@@ -1,27 +1,55 @@
 // Firebase Storage Manager
-import { storage } from './firebase-config.js';
+// Stores file content as Firebase Storage objects; metadata lives in the
+// files collection like every other backend
+import { app, loadStorage } from './firebase-config.js';
+import { firestoreManager } from './firestore.js';
+import contentCodec from './content-codec.js';
+import quotaManager from './quota.js';
 
 class StorageManager {
     constructor() {
-        this.storage = storage;
+        this.name = 'storage';
+        this.app = app;
         this.isDemoMode = this.checkDemoMode();
+        this.maxFileSize = 100 * 1024 * 1024; // 100MB per file (user limits in quota.js may be lower)
+        this.objectURLs = new Map(); // Decoded Blob URLs by file ID
         
         if (this.isDemoMode) {
             console.log('Storage Manager: Running in Demo Mode');
         }
+
+        // Drop decrypted content when the vault locks
+        document.addEventListener('vaultStateChanged', (e) => {
+            if (!e.detail.unlocked) this.revokeAllObjectURLs();
+        });
     }
 
     checkDemoMode() {
         // Check if we're in demo mode (Firebase not properly configured)
-        return !this.storage || 
-               this.storage.app?.options?.apiKey?.includes('demo') ||
-               this.storage.app?.options?.projectId?.includes('demo');
+        return !this.app ||
+               this.app.options?.apiKey?.includes('demo') ||
+               this.app.options?.projectId?.includes('demo');
+    }
+
+    // Check if file can be uploaded
+    async canUploadFile(file, userId) {
+        const maxFileSize = quotaManager.getMaxFileSize(this);
+        if (file.size > maxFileSize) {
+            throw new Error(`File too large. Maximum size is ${this.formatFileSize(maxFileSize)}.`);
+        }
+
+        // The quota covers every backend; errors reading usage stop the upload
+        await quotaManager.ensureSpace(userId, file.size);
+
+        return true;
     }
 
-    // Upload file to Firebase Storage
-    async uploadFile(file, onProgress) {
+    // Upload file to Firebase Storage and save its metadata document.
+    // Storage upload sessions don't outlive the page, so a checkpoint only
+    // keeps the file ID and the object is uploaded again from the start.
+    async uploadFile(file, path, onProgress, checkpoint = null) {
         if (this.isDemoMode) {
-            return this.uploadFileDemo(file, onProgress);
+            return this.uploadFileDemo(file, path, onProgress);
         }
 
         try {
@@ -31,51 +59,129 @@ class StorageManager {
                 throw new Error('User not authenticated');
             }
 
-            const { ref, uploadBytesResumable, getDownloadURL } = await import('firebase/storage');
+            // Refused on the original size before any bytes are read
+            await this.canUploadFile(file, user.uid);
             
-            // Create a unique file path
-            const timestamp = Date.now();
-            const randomId = Math.random().toString(36).substr(2, 9);
-            const fileName = `${timestamp}_${randomId}_${file.name}`;
-            const filePath = `files/${user.uid}/${fileName}`;
+            // Checksum of the original, verified whenever content is decoded
+            const contentHash = await contentCodec.checksum(file);
             
-            const storageRef = ref(this.storage, filePath);
-            const uploadTask = uploadBytesResumable(storageRef, file);
+            // Compressed and/or encrypted before storing; limits apply to
+            // the bytes actually stored
+            const encoded = await contentCodec.encode(file);
+            const { blob: content, compression, encrypted, iv } = encoded;
+
+            await this.canUploadFile(content, user.uid);
 
-            return new Promise((resolve, reject) => {
+            const { ref, uploadBytesResumable, deleteObject, storage } = await loadStorage();
+
+            // Create a unique object path
+            const fileId = checkpoint?.fileId || this.generateFileId();
+            const storagePath = `files/${user.uid}/${fileId}_${file.name}`;
+
+            const storageRef = ref(storage, storagePath);
+            const uploadTask = uploadBytesResumable(storageRef, content, {
+                contentType: encrypted || compression ? 'application/octet-stream' : file.type
+            });
+
+            await new Promise((resolve, reject) => {
                 uploadTask.on('state_changed',
                     (snapshot) => {
-                        const progress = (snapshot.bytesTransferred / snapshot.totalBytes) * 100;
-                        if (onProgress) onProgress(progress);
-                    },
-                    (error) => {
-                        console.error('Upload error:', error);
-                        reject(error);
-                    },
-                    async () => {
-                        try {
-                            const downloadURL = await getDownloadURL(storageRef);
-                            resolve({
-                                url: downloadURL,
-                                downloadURL: downloadURL,
-                                path: filePath,
-                                userId: user.uid,
-                                fileName: fileName
+                        if (onProgress) {
+                            onProgress({
+                                bytesTransferred: snapshot.bytesTransferred,
+                                totalBytes: snapshot.totalBytes,
+                                state: 'running',
+                                checkpoint: { backend: this.name, fileId }
                             });
-                        } catch (error) {
-                            reject(error);
                         }
-                    }
+                    },
+                    reject,
+                    resolve
                 );
             });
+
+            const fileDoc = {
+                id: fileId,
+                name: file.name,
+                size: file.size,
+                originalSize: encoded.originalSize,
+                storedSize: encoded.storedSize,
+                compression,
+                contentHash,
+                type: file.type,
+                backend: this.name,
+                storagePath: storagePath,
+                encrypted,
+                iv,
+                path: path,
+                uploadedBy: user.uid,
+                ownerId: user.uid,
+                uploadedAt: new Date(),
+                created: new Date(),
+                modified: new Date(),
+                starred: false,
+                trashed: false,
+                version: 1,
+                tags: [],
+                sharedWith: []
+            };
+
+            // Save to Firestore, removing the uploaded object if that fails
+            try {
+                await firestoreManager.saveFile(fileDoc);
+            } catch (error) {
+                await deleteObject(storageRef).catch(() => {});
+                throw error;
+            }
+
+            await firestoreManager.logActivity({
+                userId: user.uid,
+                action: 'upload',
+                fileName: file.name,
+                fileSize: file.size,
+                timestamp: new Date()
+            });
+
+            if (onProgress) {
+                onProgress({
+                    bytesTransferred: file.size,
+                    totalBytes: file.size,
+                    state: 'success'
+                });
+            }
+
+            // No URL: the stored object is encoded, and a Storage download
+            // URL would stay public; getDownloadURL decodes it on demand
+            return {
+                path: path,
+                userId: user.uid,
+                fileName: file.name,
+                ref: fileId,
+                metadata: {
+                    name: file.name,
+                    size: file.size,
+                    contentType: file.type,
+                    timeCreated: fileDoc.created
+                }
+            };
         } catch (error) {
             console.error('Error uploading file:', error);
+
+            if (onProgress) {
+                onProgress({
+                    bytesTransferred: 0,
+                    totalBytes: file.size,
+                    state: 'error',
+                    error: error.message
+                });
+            }
+
             throw error;
         }
     }
 
     // Demo mode file upload simulation
-    async uploadFileDemo(file, onProgress) {
+    async uploadFileDemo(file, path, onProgress) {
         console.log('Demo Mode: Simulating file upload for:', file.name);
         
         // Get current user for demo path
@@ -89,7 +195,13 @@ class StorageManager {
                 progress += Math.random() * 20;
                 if (progress > 100) progress = 100;
                 
-                if (onProgress) onProgress(progress);
+                if (onProgress) {
+                    onProgress({
+                        bytesTransferred: (file.size * progress) / 100,
+                        totalBytes: file.size,
+                        state: 'running'
+                    });
+                }
                 
                 if (progress >= 100) {
                     clearInterval(interval);
@@ -105,9 +217,16 @@ class StorageManager {
                     resolve({
                         url: demoURL,
                         downloadURL: demoURL,
-                        path: filePath,
+                        path: path,
                         userId: userId,
-                        fileName: fileName
+                        fileName: fileName,
+                        ref: 'demo-ref-' + timestamp,
+                        metadata: {
+                            name: file.name,
+                            size: file.size,
+                            contentType: file.type,
+                            timeCreated: new Date()
+                        }
                     });
                 }
             }, 200);
@@ -115,14 +234,25 @@ class StorageManager {
     }
 
     // Get download URL for a file
-    async getDownloadURL(reference) {
+    async getDownloadURL(pathOrId) {
         if (this.isDemoMode) {
-            return this.getDownloadURLDemo(reference);
+            return this.getDownloadURLDemo(pathOrId);
         }
 
         try {
-            const { getDownloadURL } = await import('firebase/storage');
-            return await getDownloadURL(reference);
+            const fileDoc = await this.getFileDoc(pathOrId);
+            // Every object, plain or encoded, is fetched, decoded and
+            // checked against its contentHash before it is handed out
+            if (this.objectURLs.has(fileDoc.id)) {
+                return this.objectURLs.get(fileDoc.id);
+            }
+
+            const { ref, getBlob, storage } = await loadStorage();
+            const storageRef = ref(storage, fileDoc.storagePath);
+            const blob = await contentCodec.decode(await getBlob(storageRef), fileDoc);
+            const objectURL = URL.createObjectURL(blob);
+            this.objectURLs.set(fileDoc.id, objectURL);
+            return objectURL;
         } catch (error) {
             console.error('Error getting download URL:', error);
             throw error;
@@ -144,18 +274,27 @@ class StorageManager {
         }
     }
 
-    // Delete a file from storage
-    async deleteFile(path) {
+    // Permanently delete a file's object and its metadata document
+    async deleteFile(pathOrId) {
         if (this.isDemoMode) {
-            return this.deleteFileDemo(path);
+            return this.deleteFileDemo(pathOrId);
         }
 
         try {
-            const { ref, deleteObject } = await import('firebase/storage');
+            const user = window.authManager?.getCurrentUser();
+            if (!user) {
+                throw new Error('User not authenticated');
+            }
             
-            const fileRef = ref(this.storage, path);
-            await deleteObject(fileRef);
-            console.log('File deleted successfully:', path);
+            const fileDoc = await this.getFileDoc(pathOrId);
+            if (fileDoc.uploadedBy !== user.uid && fileDoc.ownerId !== user.uid) {
+                throw new Error('Permission denied');
+            }
+
+            // Removes the object along with the metadata
+            await firestoreManager.permanentDeleteFile(fileDoc.id, user.uid);
+            this.revokeObjectURL(fileDoc.id);
+            console.log('File deleted successfully:', fileDoc.storagePath);
         } catch (error) {
             console.error('Error deleting file:', error);
             throw error;
@@ -170,17 +309,26 @@ class StorageManager {
     }
 
     // Get file metadata
-    async getFileMetadata(path) {
+    async getFileMetadata(pathOrId) {
         if (this.isDemoMode) {
-            return this.getFileMetadataDemo(path);
+            return this.getFileMetadataDemo(pathOrId);
         }
 
         try {
-            const { ref, getMetadata } = await import('firebase/storage');
+            const fileDoc = await this.getFileDoc(pathOrId);
             
-            const fileRef = ref(this.storage, path);
-            const metadata = await getMetadata(fileRef);
-            return metadata;
+            return {
+                name: fileDoc.name,
+                size: fileDoc.size,
+                contentType: fileDoc.type,
+                timeCreated: fileDoc.created,
+                updated: fileDoc.modified || fileDoc.created,
+                version: fileDoc.version || 1,
+                starred: fileDoc.starred || false,
+                trashed: fileDoc.trashed || false,
+                tags: fileDoc.tags || [],
+                sharedWith: fileDoc.sharedWith || []
+            };
         } catch (error) {
             console.error('Error getting file metadata:', error);
             throw error;
@@ -204,6 +352,95 @@ class StorageManager {
         };
     }
 
+    // Get storage used by the files this backend holds
+    async getStorageUsage(userId) {
+        // Account-wide quota; each backend reports its own share of usage
+        const quota = quotaManager.getStorageQuota();
+
+        if (this.isDemoMode) {
+            return {
+                used: 0,
+                logical: 0,
+                physical: 0,
+                available: quota,
+                fileCount: 0,
+                quota
+            };
+        }
+
+        try {
+            // Every file has its own object, trashed ones included
+            const usage = await firestoreManager.getUsage(userId);
+            const own = usage.byBackend?.[this.name] || {};
+            const physical = own.physical || 0;
+
+            return {
+                used: physical,
+                logical: own.logical || 0,
+                physical,
+                available: quota - physical,
+                fileCount: own.count || 0,
+                quota
+            };
+        } catch (error) {
+            console.error('Storage usage error:', error);
+            return {
+                used: 0,
+                logical: 0,
+                physical: 0,
+                available: quota,
+                fileCount: 0,
+                quota
+            };
+        }
+    }
+
+    // Nothing to migrate, content never lived in Firestore documents
+    async migrateLegacyContent() {
+        return 0;
+    }
+
+    // Look up a file document that stores its content in this backend
+    async getFileDoc(pathOrId) {
+        const fileDoc = await firestoreManager.getFileByPath(pathOrId);
+        if (!fileDoc) {
+            throw new Error('File not found');
+        }
+        if (!fileDoc.storagePath) {
+            throw new Error('File content is not stored in Firebase Storage');
+        }
+        return fileDoc;
+    }
+
+    // Release a cached Blob URL
+    revokeObjectURL(fileId) {
+        const objectURL = this.objectURLs.get(fileId);
+        if (objectURL) {
+            URL.revokeObjectURL(objectURL);
+            this.objectURLs.delete(fileId);
+        }
+    }
+
+    // Release every cached Blob URL
+    revokeAllObjectURLs() {
+        this.objectURLs.forEach(objectURL => URL.revokeObjectURL(objectURL));
+        this.objectURLs.clear();
+    }
+
+    // Generate unique file ID
+    generateFileId() {
+        return 'file_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+
+    // Format file size for display
+    formatFileSize(bytes) {
+        if (bytes === 0) return '0 B';
+        const k = 1024;
+        const sizes = ['B', 'KB', 'MB', 'GB'];
+        const i = Math.floor(Math.log(bytes) / Math.log(k));
+        return parseFloat((bytes / Math.pow(k, i)).toFixed(1)) + ' ' + sizes[i];
+    }
+
     // Get MIME type based on file extension
     getMimeType(extension) {
         const mimeTypes = {
@@ -0,0 +1,284 @@
+/**
+ * Drive Nest - Storage Analytics Module
+ * Settings panel that breaks storage down by file category (from the
+ * users/{uid}.usage counters) and by folder, with a treemap of top-level
+ * folders whose tiles open that folder
+ */
+
+import firestoreManager from '../firestore.js';
+import { splitPath } from '../paths.js';
+import { hideModal } from './modals.js';
+
+// Same keys as DriveNestApp.getFileCategory
+const CATEGORIES = [
+  { key: 'image', label: 'Images', icon: '🖼️' },
+  { key: 'video', label: 'Videos', icon: '🎬' },
+  { key: 'audio', label: 'Audio', icon: '🎵' },
+  { key: 'document', label: 'Documents', icon: '📄' },
+  { key: 'archive', label: 'Archives', icon: '📦' },
+  { key: 'other', label: 'Other', icon: '📎' }
+];
+
+const ROOT_KEY = '';
+const TREEMAP_MAX_TILES = 24;
+// Layout happens in a fixed box, then is scaled to the container in percent
+const TREEMAP_WIDTH = 100;
+const TREEMAP_HEIGHT = 60;
+
+class StorageAnalytics {
+  constructor(app) {
+    this.app = app;
+    this.container = null;
+  }
+
+  /**
+   * Load usage and folder sizes and render the panel
+   * @param {string} userId User ID
+   */
+  async show(userId) {
+    this.container = document.getElementById('storage-analytics');
+    if (!this.container) return;
+
+    this.container.innerHTML = '<div class="analytics-loading">Calculating...</div>';
+
+    try {
+      const [usage, files] = await Promise.all([
+        firestoreManager.getUsage(userId),
+        firestoreManager.getAllUserFiles(userId)
+      ]);
+
+      this.render(usage, this.getFolderSizes(files));
+    } catch (error) {
+      console.error('Error loading storage analytics:', error);
+      this.container.innerHTML = `<div class="analytics-empty">Could not load storage breakdown: ${this.escapeHtml(error.message)}</div>`;
+    }
+  }
+
+  /**
+   * Total size of each top-level folder, including everything below it.
+   * Files directly in My Drive are grouped under the root.
+   * @param {Array} files All of the user's files
+   * @returns {Array<{path: string, name: string, size: number, count: number}>} Largest first
+   */
+  getFolderSizes(files) {
+    const folders = new Map();
+
+    files
+      .filter(file => !file.trashed && file.type !== 'folder')
+      .forEach(file => {
+        const path = (file.path || '').replace(/^\/+|\/+$/g, '');
+        const topLevel = path ? path.split('/')[0] : ROOT_KEY;
+        const entry = folders.get(topLevel) || {
+          path: topLevel,
+          name: topLevel || 'My Drive (not in a folder)',
+          size: 0,
+          count: 0
+        };
+
+        entry.size += file.originalSize || file.size || 0;
+        entry.count++;
+        folders.set(topLevel, entry);
+      });
+
+    return Array.from(folders.values())
+      .filter(folder => folder.size > 0)
+      .sort((a, b) => b.size - a.size);
+  }
+
+  /**
+   * @param {Object} usage Usage totals
+   * @param {Array} folders Folder sizes, largest first
+   */
+  render(usage, folders) {
+    const total = usage.logical || 0;
+
+    if (total === 0) {
+      this.container.innerHTML = '<div class="analytics-empty">No files yet.</div>';
+      return;
+    }
+
+    const categories = CATEGORIES
+      .map(category => ({ ...category, ...(usage.byCategory?.[category.key] || { count: 0, bytes: 0 }) }))
+      .filter(category => category.bytes > 0 || category.count > 0);
+
+    this.container.innerHTML = `
+      <h5>By type</h5>
+      <div class="analytics-bar">
+        ${categories.map(category => `
+          <div class="analytics-bar-segment category-${category.key}"
+               style="width: ${this.getPercent(category.bytes, total)}%"
+               title="${category.label}: ${this.app.formatFileSize(category.bytes)}"></div>
+        `).join('')}
+      </div>
+      <ul class="analytics-legend">
+        ${categories.map(category => `
+          <li>
+            <span class="analytics-swatch category-${category.key}"></span>
+            <span class="analytics-label">${category.icon} ${category.label}</span>
+            <span class="analytics-value">${this.app.formatFileSize(category.bytes)} · ${category.count} file(s) · ${Math.round(this.getPercent(category.bytes, total))}%</span>
+          </li>
+        `).join('')}
+      </ul>
+      <h5>By folder</h5>
+      <div class="analytics-treemap" id="analytics-treemap">
+        ${this.renderTreemap(folders)}
+      </div>
+      ${usage.trash?.bytes > 0 ? `
+        <p class="analytics-note">Trash holds ${this.app.formatFileSize(usage.trash.bytes)} more, which still counts until it is emptied.</p>
+      ` : ''}
+    `;
+
+    this.container.querySelectorAll('.treemap-tile').forEach(tile => {
+      tile.addEventListener('click', () => this.openFolder(tile.dataset.path));
+    });
+  }
+
+  /**
+   * @param {Array} folders Folder sizes, largest first
+   * @returns {string} Treemap tiles HTML
+   */
+  renderTreemap(folders) {
+    if (folders.length === 0) {
+      return '<div class="analytics-empty">No folders with files.</div>';
+    }
+
+    // Fold the long tail into one tile so the others stay big enough to read
+    let items = folders;
+    if (folders.length > TREEMAP_MAX_TILES) {
+      const rest = folders.slice(TREEMAP_MAX_TILES - 1);
+      items = [
+        ...folders.slice(0, TREEMAP_MAX_TILES - 1),
+        {
+          path: null,
+          name: `${rest.length} more folders`,
+          size: rest.reduce((sum, folder) => sum + folder.size, 0),
+          count: rest.reduce((sum, folder) => sum + folder.count, 0)
+        }
+      ];
+    }
+
+    return this.layoutTreemap(items, TREEMAP_WIDTH, TREEMAP_HEIGHT).map(({ item, x, y, width, height }, index) => `
+      <button class="treemap-tile ${item.path === null ? 'treemap-tile-rest' : ''}"
+              ${item.path === null ? 'disabled' : `data-path="${this.escapeHtml(item.path)}"`}
+              style="left: ${x / TREEMAP_WIDTH * 100}%; top: ${y / TREEMAP_HEIGHT * 100}%;
+                     width: ${width / TREEMAP_WIDTH * 100}%; height: ${height / TREEMAP_HEIGHT * 100}%;
+                     --tile-hue: ${(index * 47) % 360};"
+              title="${this.escapeHtml(item.name)}: ${this.app.formatFileSize(item.size)} in ${item.count} file(s)">
+        <span class="treemap-name">${item.path ? '📁 ' : ''}${this.escapeHtml(item.name)}</span>
+        <span class="treemap-size">${this.app.formatFileSize(item.size)}</span>
+      </button>
+    `).join('');
+  }
+
+  /**
+   * Squarified treemap layout: fills rows along the shorter side while that
+   * keeps tiles closer to square
+   * @param {Array} items Items with a size, largest first
+   * @param {number} width Box width
+   * @param {number} height Box height
+   * @returns {Array<{item: Object, x: number, y: number, width: number, height: number}>} Tiles
+   */
+  layoutTreemap(items, width, height) {
+    const total = items.reduce((sum, item) => sum + item.size, 0);
+    const scale = (width * height) / total;
+    const box = { x: 0, y: 0, width, height };
+    const tiles = [];
+
+    const worstRatio = (row, side) => {
+      const areas = row.map(item => item.size * scale);
+      const sum = areas.reduce((a, b) => a + b, 0);
+      const max = Math.max(...areas);
+      const min = Math.min(...areas);
+      return Math.max((side * side * max) / (sum * sum), (sum * sum) / (side * side * min));
+    };
+
+    let remaining = [...items];
+    while (remaining.length > 0) {
+      const side = Math.min(box.width, box.height);
+      const row = [remaining[0]];
+      let next = 1;
+
+      while (next < remaining.length &&
+             worstRatio([...row, remaining[next]], side) <= worstRatio(row, side)) {
+        row.push(remaining[next]);
+        next++;
+      }
+
+      const rowArea = row.reduce((sum, item) => sum + item.size * scale, 0);
+      const thickness = rowArea / side;
+      let offset = 0;
+
+      row.forEach(item => {
+        const length = (item.size * scale) / thickness;
+        if (box.width >= box.height) {
+          // Column on the left
+          tiles.push({ item, x: box.x, y: box.y + offset, width: thickness, height: length });
+        } else {
+          // Row along the top
+          tiles.push({ item, x: box.x + offset, y: box.y, width: length, height: thickness });
+        }
+        offset += length;
+      });
+
+      if (box.width >= box.height) {
+        box.x += thickness;
+        box.width -= thickness;
+      } else {
+        box.y += thickness;
+        box.height -= thickness;
+      }
+
+      remaining = remaining.slice(next);
+    }
+
+    return tiles;
+  }
+
+  /**
+   * Close settings and show a folder in My Files
+   * @param {string} path Folder path ('' for My Drive)
+   */
+  async openFolder(path) {
+    hideModal('settings-modal');
+
+    // switchView starts at the root, so the folder is opened afterwards
+    if (this.app.currentView !== 'my-files') {
+      await this.app.switchView('my-files');
+    }
+
+    await this.app.navigateToPath(splitPath(path));
+  }
+
+  /**
+   * @param {number} value Part
+   * @param {number} total Whole
+   * @returns {number} Percentage (0-100)
+   */
+  getPercent(value, total) {
+    return total > 0 ? Math.min((value / total) * 100, 100) : 0;
+  }
+
+  /**
+   * Escape HTML to prevent XSS
+   * @param {string} text Text to escape
+   * @returns {string} Escaped text
+   */
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+}
+
+/**
+ * Setup the storage analytics panel for the app
+ * @param {Object} app App instance
+ * @returns {StorageAnalytics} Storage analytics panel
+ */
+export function setupStorageAnalytics(app) {
+  const storageAnalytics = new StorageAnalytics(app);
+  app.storageAnalytics = storageAnalytics;
+  return storageAnalytics;
+}
+
+export default StorageAnalytics;
@@ -0,0 +1,331 @@
+/**
+ * Drive Nest - Storage Cleanup Module
+ * "Clean up storage" view: finds duplicate content, near-identical names and
+ * the largest or oldest untouched files, and moves a selection to trash
+ */
+
+import firestoreManager from '../firestore.js';
+import { showToast, showConfirmDialog } from './modals.js';
+
+const LARGEST_FILES_LIMIT = 10;
+const OLD_FILES_LIMIT = 10;
+const UNTOUCHED_DAYS = 180;
+
+// "report (1).pdf", "report - Copy.pdf", "Copy of report.pdf", "report copy 3.pdf".
+// Plain numbering ("IMG_1234.jpg", "invoice_2024.pdf") names different files.
+const COPY_SUFFIX_PATTERN = /(\s*\(\d+\)|\s*-\s*copy(\s*\(\d+\))?|\s+copy(\s+\d+)?)$/i;
+const COPY_PREFIX_PATTERN = /^copy of\s+/i;
+
+class CleanupView {
+  constructor(app) {
+    this.app = app;
+    this.container = null;
+    this.files = [];
+    this.groups = null;
+    this.selected = new Set();
+  }
+
+  /**
+   * Load the user's files and render the cleanup suggestions
+   * @param {string} userId User ID
+   */
+  async show(userId) {
+    this.container = document.getElementById('cleanup-view');
+    if (!this.container) return;
+
+    this.setVisible(true);
+    this.container.innerHTML = '<div class="cleanup-loading">Analyzing your files...</div>';
+
+    try {
+      const files = await firestoreManager.getAllUserFiles(userId);
+      this.files = files.filter(file => !file.trashed && file.type !== 'folder');
+      this.groups = this.analyze(this.files);
+      this.selected = new Set(this.groups.duplicates.flatMap(group => group.suggested));
+      this.render();
+    } catch (error) {
+      console.error('Error analyzing storage:', error);
+      this.container.innerHTML = `<div class="cleanup-empty">Could not analyze storage: ${this.escapeHtml(error.message)}</div>`;
+    }
+  }
+
+  /**
+   * Show or hide the cleanup view in place of the file grid
+   * @param {boolean} visible Whether the cleanup view is shown
+   */
+  setVisible(visible) {
+    document.getElementById('cleanup-view')?.classList.toggle('hidden', !visible);
+    document.getElementById('file-grid')?.classList.toggle('hidden', visible);
+    document.querySelector('.quick-stats')?.classList.toggle('hidden', visible);
+    if (visible) {
+      document.getElementById('empty-state')?.classList.add('hidden');
+    }
+  }
+
+  /**
+   * Group files into cleanup suggestions
+   * @param {Array} files Non-trashed files
+   * @returns {Object} `{ duplicates, similarNames, largest, oldest }`
+   */
+  analyze(files) {
+    // Identical content: keep the oldest copy, suggest trashing the rest
+    const byHash = this.groupBy(files.filter(file => file.contentHash), file => file.contentHash);
+    const duplicates = byHash
+      .map(group => {
+        const sorted = [...group].sort((a, b) => this.getTime(a.created) - this.getTime(b.created));
+        // Copies sharing stored content free nothing while the kept one
+        // still uses it, so each content counts once
+        const stored = new Map(sorted.map(file => [file.contentId || file.id, file.size || 0]));
+        stored.delete(sorted[0].contentId || sorted[0].id);
+        return {
+          key: sorted[0].contentHash,
+          files: sorted,
+          suggested: sorted.slice(1).map(file => file.id),
+          reclaimable: [...stored.values()].reduce((sum, size) => sum + size, 0),
+          sharedContent: stored.size === 0
+        };
+      })
+      .sort((a, b) => b.reclaimable - a.reclaimable);
+
+    // Near-identical names whose content differs (or is unknown)
+    const similarNames = this.groupBy(files, file => this.normalizeName(file.name))
+      .filter(group => new Set(group.map(file => file.contentHash || file.id)).size > 1)
+      .map(group => ({
+        key: this.normalizeName(group[0].name),
+        files: [...group].sort((a, b) => this.getTime(b.modified || b.created) - this.getTime(a.modified || a.created))
+      }));
+
+    const largest = [...files]
+      .sort((a, b) => (b.size || 0) - (a.size || 0))
+      .slice(0, LARGEST_FILES_LIMIT);
+
+    const cutoff = Date.now() - UNTOUCHED_DAYS * 24 * 60 * 60 * 1000;
+    const oldest = files
+      .filter(file => this.getTime(file.modified || file.created) < cutoff)
+      .sort((a, b) => this.getTime(a.modified || a.created) - this.getTime(b.modified || b.created))
+      .slice(0, OLD_FILES_LIMIT);
+
+    return { duplicates, similarNames, largest, oldest };
+  }
+
+  /**
+   * Reduce a file name to the name it was copied from
+   * @param {string} name File name
+   * @returns {string} Normalized name
+   */
+  normalizeName(name = '') {
+    const dotIndex = name.lastIndexOf('.');
+    const hasExtension = dotIndex > 0;
+    let base = hasExtension ? name.slice(0, dotIndex) : name;
+    const extension = hasExtension ? name.slice(dotIndex).toLowerCase() : '';
+
+    base = base.replace(COPY_PREFIX_PATTERN, '');
+    while (COPY_SUFFIX_PATTERN.test(base)) {
+      base = base.replace(COPY_SUFFIX_PATTERN, '');
+    }
+
+    return base.trim().toLowerCase().replace(/\s+/g, ' ') + extension;
+  }
+
+  /**
+   * Group items by key, keeping only groups with more than one item
+   * @param {Array} items Items to group
+   * @param {function(Object): string} keyFn Key selector
+   * @returns {Array<Array>} Groups
+   */
+  groupBy(items, keyFn) {
+    const groups = new Map();
+    items.forEach(item => {
+      const key = keyFn(item);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(item);
+    });
+    return Array.from(groups.values()).filter(group => group.length > 1);
+  }
+
+  /**
+   * Render all suggestion sections
+   */
+  render() {
+    const { duplicates, similarNames, largest, oldest } = this.groups;
+
+    if (this.files.length === 0) {
+      this.container.innerHTML = '<div class="cleanup-empty">No files to clean up.</div>';
+      return;
+    }
+
+    const reclaimable = duplicates.reduce((sum, group) => sum + group.reclaimable, 0);
+
+    this.container.innerHTML = `
+      <div class="cleanup-summary">
+        <div>
+          <strong>${duplicates.length}</strong> duplicate group(s) ·
+          <strong>${this.app.formatFileSize(reclaimable)}</strong> in extra copies
+        </div>
+        <div class="cleanup-summary-actions">
+          <span class="cleanup-selection" id="cleanup-selection"></span>
+          <button class="btn btn-danger" id="cleanup-trash-btn">🗑️ Move selected to trash</button>
+        </div>
+      </div>
+      ${this.renderSection('Identical files', 'Same content stored more than once. The oldest copy is kept by default.',
+        duplicates.map(group => this.renderGroup(group.files, group.sharedContent ? 'Stored once, shared by these copies' : '')))}
+      ${this.renderSection('Similar names', 'Names that look like copies of each other, such as "report (1).pdf".',
+        similarNames.map(group => this.renderGroup(group.files)))}
+      ${this.renderSection('Largest files', `Your ${LARGEST_FILES_LIMIT} biggest files.`,
+        largest.length > 0 ? [this.renderGroup(largest)] : [])}
+      ${this.renderSection('Oldest untouched files', `Not modified in the last ${UNTOUCHED_DAYS} days.`,
+        oldest.length > 0 ? [this.renderGroup(oldest)] : [])}
+    `;
+
+    this.container.querySelectorAll('.cleanup-checkbox').forEach(checkbox => {
+      checkbox.addEventListener('change', () => {
+        this.setSelected(checkbox.dataset.fileId, checkbox.checked);
+      });
+    });
+
+    this.container.querySelectorAll('.cleanup-file-name').forEach(link => {
+      link.addEventListener('click', (e) => {
+        e.preventDefault();
+        this.app.openFilePreview?.(link.dataset.fileId);
+      });
+    });
+
+    this.container.querySelector('#cleanup-trash-btn')?.addEventListener('click', () => this.trashSelected());
+
+    this.updateSelectionSummary();
+  }
+
+  /**
+   * @param {string} title Section title
+   * @param {string} description Section description
+   * @param {string[]} groupsHtml Rendered groups
+   * @returns {string} Section HTML
+   */
+  renderSection(title, description, groupsHtml) {
+    return `
+      <section class="cleanup-section">
+        <h3>${this.escapeHtml(title)}</h3>
+        <p class="cleanup-description">${this.escapeHtml(description)}</p>
+        ${groupsHtml.length > 0 ? groupsHtml.join('') : '<div class="cleanup-empty">Nothing found.</div>'}
+      </section>
+    `;
+  }
+
+  /**
+   * @param {Array} files Files in the group
+   * @param {string} [note] Note shown above the group
+   * @returns {string} Group HTML
+   */
+  renderGroup(files, note = '') {
+    return `
+      <div class="cleanup-group">
+        ${note ? `<div class="cleanup-group-note">${this.escapeHtml(note)}</div>` : ''}
+        ${files.map(file => `
+          <label class="cleanup-file">
+            <input type="checkbox" class="cleanup-checkbox" data-file-id="${file.id}" ${this.selected.has(file.id) ? 'checked' : ''}>
+            <span class="cleanup-file-icon">${this.app.getFileIcon(file.type)}</span>
+            <a href="#" class="cleanup-file-name" data-file-id="${file.id}">${this.escapeHtml(file.name)}</a>
+            <span class="cleanup-file-path">${this.escapeHtml(file.path ? `/${file.path}` : '/')}</span>
+            <span class="cleanup-file-size">${this.app.formatFileSize(file.size || 0)}</span>
+            <span class="cleanup-file-date">${this.app.formatDate(file.modified || file.created)}</span>
+          </label>
+        `).join('')}
+      </div>
+    `;
+  }
+
+  /**
+   * Select or deselect a file everywhere it is listed
+   * @param {string} fileId File ID
+   * @param {boolean} selected Selection state
+   */
+  setSelected(fileId, selected) {
+    if (selected) {
+      this.selected.add(fileId);
+    } else {
+      this.selected.delete(fileId);
+    }
+
+    this.container.querySelectorAll(`.cleanup-checkbox[data-file-id="${fileId}"]`).forEach(checkbox => {
+      checkbox.checked = selected;
+    });
+
+    this.updateSelectionSummary();
+  }
+
+  /**
+   * Show how much the current selection holds
+   */
+  updateSelectionSummary() {
+    const selectedFiles = this.files.filter(file => this.selected.has(file.id));
+    const size = selectedFiles.reduce((sum, file) => sum + (file.size || 0), 0);
+
+    const summary = this.container.querySelector('#cleanup-selection');
+    if (summary) {
+      summary.textContent = `${selectedFiles.length} selected (${this.app.formatFileSize(size)})`;
+    }
+
+    const trashBtn = this.container.querySelector('#cleanup-trash-btn');
+    if (trashBtn) trashBtn.disabled = selectedFiles.length === 0;
+  }
+
+  /**
+   * Move the selected files to trash
+   */
+  async trashSelected() {
+    const user = window.authManager?.getCurrentUser();
+    const fileIds = Array.from(this.selected);
+    if (!user || fileIds.length === 0) return;
+
+    const confirmed = await showConfirmDialog(
+      'Move to trash',
+      `Move ${fileIds.length} file(s) to trash? You can restore them from Trash until they are deleted.`,
+      { confirmText: 'Move to trash', destructive: true }
+    );
+    if (!confirmed) return;
+
+    try {
+      await firestoreManager.batchTrashFiles(fileIds, user.uid);
+      showToast(`${fileIds.length} file(s) moved to trash`, 'success');
+
+      await this.app.loadFiles();
+      await this.app.updateStorageInfo?.();
+    } catch (error) {
+      console.error('Error trashing files:', error);
+      showToast(`Failed to move files to trash: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * @param {Date|Object|string} value Date-like value
+   * @returns {number} Milliseconds since epoch (0 if unknown)
+   */
+  getTime(value) {
+    if (!value) return 0;
+    const date = typeof value.toDate === 'function' ? value.toDate() : new Date(value);
+    return isNaN(date.getTime()) ? 0 : date.getTime();
+  }
+
+  /**
+   * Escape HTML to prevent XSS
+   * @param {string} text Text to escape
+   * @returns {string} Escaped text
+   */
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+}
+
+/**
+ * Setup the cleanup view for the app
+ * @param {Object} app App instance
+ * @returns {CleanupView} Cleanup view
+ */
+export function setupCleanupView(app) {
+  const cleanupView = new CleanupView(app);
+  app.cleanupView = cleanupView;
+  return cleanupView;
+}
+
+export default CleanupView;
@@ -0,0 +1,303 @@
+/**
+ * Drive Nest - Folder Tree Module
+ * Expandable folder tree in the sidebar. Children are loaded when a node is
+ * first expanded, the open folder is highlighted, and files dropped on a
+ * node are uploaded into that folder.
+ */
+
+import firestoreManager from '../firestore.js';
+import uploadHandler from '../upload.js';
+import { normalizePath, splitPath, joinPath } from '../paths.js';
+import { showToast } from './modals.js';
+
+const ROOT_PATH = '';
+// Hovering a collapsed node this long while dragging expands it
+const DRAG_EXPAND_DELAY = 700;
+
+class FolderTree {
+  constructor(app) {
+    this.app = app;
+    this.container = document.getElementById('folder-tree');
+    // Folder path -> child folders, once loaded
+    this.children = new Map();
+    this.expanded = new Set([ROOT_PATH]);
+    this.loading = new Set();
+    this.currentPath = null;
+    this.dragExpandTimer = null;
+
+    this.setupEventListeners();
+  }
+
+  /**
+   * Handle clicks and drops on the tree (delegated, since nodes are re-rendered)
+   */
+  setupEventListeners() {
+    if (!this.container) return;
+
+    this.container.addEventListener('click', (e) => {
+      const row = e.target.closest('.tree-row');
+      if (!row) return;
+      e.preventDefault();
+
+      if (e.target.closest('.tree-toggle')) {
+        this.toggle(row.dataset.path);
+      } else {
+        this.open(row.dataset.path);
+      }
+    });
+
+    this.container.addEventListener('dragover', (e) => {
+      const row = e.target.closest('.tree-row');
+      if (!row || !this.isFileDrag(e)) return;
+
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'copy';
+      this.setDropTarget(row);
+    });
+
+    this.container.addEventListener('dragleave', (e) => {
+      const row = e.target.closest('.tree-row');
+      if (row && !row.contains(e.relatedTarget)) {
+        this.setDropTarget(null);
+      }
+    });
+
+    this.container.addEventListener('drop', (e) => {
+      const row = e.target.closest('.tree-row');
+      if (!row || !this.isFileDrag(e)) return;
+
+      e.preventDefault();
+      this.setDropTarget(null);
+      this.uploadInto(row.dataset.path, e.dataTransfer);
+    });
+  }
+
+  /**
+   * Forget everything (on sign out)
+   */
+  reset() {
+    this.children.clear();
+    this.expanded = new Set([ROOT_PATH]);
+    this.currentPath = null;
+    if (this.container) this.container.innerHTML = '';
+  }
+
+  /**
+   * Highlight the folder the app is showing, expanding its ancestors.
+   * The folders the app just loaded replace the cached children of that folder.
+   * @param {string[]|null} path Current folder path, or null outside My Files
+   * @param {Array} [files] Items the app loaded for that folder
+   */
+  async setCurrentPath(path, files) {
+    if (path === null) {
+      this.currentPath = null;
+      this.render();
+      return;
+    }
+
+    const current = normalizePath(path);
+    this.currentPath = current;
+
+    if (files) {
+      this.children.set(current, this.toNodes(files.filter(file => file.type === 'folder')));
+    }
+
+    const segments = splitPath(current);
+    for (let depth = 0; depth < segments.length; depth++) {
+      const ancestor = segments.slice(0, depth).join('/');
+      this.expanded.add(ancestor);
+      if (!this.children.has(ancestor)) {
+        await this.loadChildren(ancestor);
+      }
+    }
+
+    this.render();
+  }
+
+  /**
+   * Reload every expanded folder, after folders were created, moved or removed
+   */
+  async refresh() {
+    const paths = Array.from(this.expanded);
+    this.children.clear();
+    await Promise.all(paths.map(path => this.loadChildren(path)));
+    this.render();
+  }
+
+  /**
+   * Expand or collapse a node
+   * @param {string} path Folder path
+   */
+  async toggle(path) {
+    if (this.expanded.has(path)) {
+      this.expanded.delete(path);
+      this.render();
+      return;
+    }
+
+    await this.expand(path);
+  }
+
+  /**
+   * Expand a node, loading its children each time so the tree stays current
+   * @param {string} path Folder path
+   */
+  async expand(path) {
+    this.expanded.add(path);
+    const loaded = this.loadChildren(path);
+    this.render();
+    await loaded;
+    this.render();
+  }
+
+  /**
+   * Show a folder in My Files
+   * @param {string} path Folder path
+   */
+  async open(path) {
+    if (this.app.currentView !== 'my-files') {
+      await this.app.switchView('my-files');
+    }
+
+    await this.app.navigateToPath(splitPath(path));
+  }
+
+  /**
+   * @param {string} path Folder path
+   */
+  async loadChildren(path) {
+    const user = window.authManager?.getCurrentUser();
+    if (!user || this.loading.has(path)) return;
+
+    this.loading.add(path);
+    try {
+      const folders = await firestoreManager.getSubfolders(user.uid, path);
+      this.children.set(path, this.toNodes(folders));
+    } catch (error) {
+      console.error('Error loading folder tree:', error);
+    } finally {
+      this.loading.delete(path);
+    }
+  }
+
+  /**
+   * @param {Array} folders Folder documents
+   * @returns {Array<{name: string, path: string}>} Tree nodes sorted by name
+   */
+  toNodes(folders) {
+    return folders
+      .map(folder => ({ name: folder.name, path: joinPath(folder.path, folder.name) }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Upload dropped files and folders into a folder
+   * @param {string} path Folder path
+   * @param {DataTransfer} dataTransfer Drop data, read before this returns
+   */
+  async uploadInto(path, dataTransfer) {
+    const count = dataTransfer.files.length;
+    if (count === 0) return;
+
+    const name = path ? splitPath(path).pop() : 'My Files';
+    showToast(`Uploading ${count} item(s) to "${name}"`, 'info');
+    await uploadHandler.handleDrop(dataTransfer, path);
+  }
+
+  render() {
+    if (!this.container) return;
+    this.container.innerHTML = `<ul class="tree-list">${this.renderNode({ name: 'My Files', path: ROOT_PATH }, 0)}</ul>`;
+  }
+
+  /**
+   * @param {{name: string, path: string}} node Tree node
+   * @param {number} depth Nesting depth
+   * @returns {string} Node HTML, including expanded children
+   */
+  renderNode(node, depth) {
+    const children = this.children.get(node.path);
+    const expanded = this.expanded.has(node.path);
+    const isLeaf = children !== undefined && children.length === 0;
+    const isCurrent = this.currentPath === node.path;
+
+    return `
+      <li class="tree-node">
+        <a href="#" class="tree-row ${isCurrent ? 'active' : ''}" data-path="${this.escapeHtml(node.path)}"
+           style="--tree-depth: ${depth}" title="${this.escapeHtml(node.path || 'My Files')}">
+          <span class="tree-toggle ${isLeaf ? 'tree-toggle-empty' : ''}">${isLeaf ? '' : (expanded ? '▾' : '▸')}</span>
+          <span class="tree-icon">${expanded && !isLeaf ? '📂' : '📁'}</span>
+          <span class="tree-label">${this.escapeHtml(node.name)}</span>
+        </a>
+        ${expanded ? this.renderChildren(node.path, children, depth) : ''}
+      </li>
+    `;
+  }
+
+  /**
+   * @param {string} path Parent folder path
+   * @param {Array|undefined} children Child nodes, if loaded
+   * @param {number} depth Parent depth
+   * @returns {string} Children HTML
+   */
+  renderChildren(path, children, depth) {
+    if (children === undefined) {
+      return this.loading.has(path)
+        ? `<div class="tree-loading" style="--tree-depth: ${depth + 1}">Loading...</div>`
+        : '';
+    }
+    if (children.length === 0) return '';
+
+    return `<ul class="tree-list">${children.map(child => this.renderNode(child, depth + 1)).join('')}</ul>`;
+  }
+
+  /**
+   * Mark the row files would be dropped on, expanding it after a pause
+   * @param {HTMLElement|null} row Row under the pointer
+   */
+  setDropTarget(row) {
+    const previous = this.container.querySelector('.tree-row.drop-target');
+    if (previous === row) return;
+
+    previous?.classList.remove('drop-target');
+    clearTimeout(this.dragExpandTimer);
+    if (!row) return;
+
+    row.classList.add('drop-target');
+    const path = row.dataset.path;
+    if (!this.expanded.has(path)) {
+      this.dragExpandTimer = setTimeout(() => this.expand(path), DRAG_EXPAND_DELAY);
+    }
+  }
+
+  /**
+   * @param {DragEvent} e Drag event
+   * @returns {boolean} True when files from outside the page are dragged
+   */
+  isFileDrag(e) {
+    return Array.from(e.dataTransfer?.types || []).includes('Files');
+  }
+
+  /**
+   * Escape HTML to prevent XSS
+   * @param {string} text Text to escape
+   * @returns {string} Escaped text
+   */
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+}
+
+/**
+ * Setup the sidebar folder tree for the app
+ * @param {Object} app App instance
+ * @returns {FolderTree} Folder tree
+ */
+export function setupFolderTree(app) {
+  const folderTree = new FolderTree(app);
+  app.folderTree = folderTree;
+  return folderTree;
+}
+
+export default FolderTree;
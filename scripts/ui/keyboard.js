@@ -3,6 +3,8 @@
  * Handles keyboard shortcuts and accessibility
  */
 
+import firestoreManager from '../firestore.js';
+
 class KeyboardManager {
   constructor() {
     this.shortcuts = new Map();
@@ -69,6 +71,12 @@ class KeyboardManager {
       this.switchView('starred');
     }, 'Go to Starred files');
 
+    this.addShortcut('Alt+Up', () => {
+      if (window.app) {
+        window.app.navigateUp();
+      }
+    }, 'Go up one folder');
+
     // Selection shortcuts
     this.addShortcut('Ctrl+a', () => {
       this.selectAllFiles();
@@ -115,7 +123,14 @@ class KeyboardManager {
     // Duplicate
     this.addShortcut('Ctrl+d', () => {
       this.duplicateSelectedFile();
-    }, 'Duplicate selected file');
+    }, 'Duplicate selected files');
+
+    // Move
+    this.addShortcut('m', () => {
+      if (window.app && window.app.selectedFiles.size > 0) {
+        window.app.moveSelectedFiles();
+      }
+    }, 'Move selected files');
   }
 
   /**
@@ -364,17 +379,18 @@ class KeyboardManager {
       const file = window.app.files.find(f => f.id === fileId);
       
       if (file) {
+        const isFolder = file.type === 'folder';
         window.showInputDialog(
-          'Rename File',
+          isFolder ? 'Rename Folder' : 'Rename File',
           'Enter new name:',
           { 
             defaultValue: file.name,
-            placeholder: 'File name'
+            placeholder: isFolder ? 'Folder name' : 'File name'
           }
         ).then((newName) => {
           if (newName && newName !== file.name) {
             // Implement rename functionality
-            this.performRenameAction(fileId, newName);
+            this.performRenameAction(fileId, newName, isFolder);
           }
         });
       }
@@ -438,13 +454,11 @@ class KeyboardManager {
   }
 
   /**
-   * Duplicate selected file
+   * Duplicate selected files and folders
    */
   duplicateSelectedFile() {
-    if (window.app && window.app.selectedFiles.size === 1) {
-      const fileId = Array.from(window.app.selectedFiles)[0];
-      // Implement duplicate functionality
-      this.performDuplicateAction(fileId);
+    if (window.app && window.app.selectedFiles.size > 0) {
+      window.app.duplicateSelectedFiles();
     }
   }
 
@@ -465,7 +479,7 @@ class KeyboardManager {
 
       for (let i = 0; i < fileIds.length; i++) {
         const fileId = fileIds[i];
-        await window.firestore.trashFile(fileId, window.app.user.uid);
+        await firestoreManager.trashFile(fileId, window.app.user.uid);
         
         if (progress) {
           progress.update(((i + 1) / fileIds.length) * 100);
@@ -484,8 +498,12 @@ class KeyboardManager {
       );
 
       // Clear selection and reload files
+      const hasFolders = window.app.files.some(file => fileIds.includes(file.id) && file.type === 'folder');
       window.app.selectedFiles.clear();
       await window.app.loadFiles();
+      if (hasFolders) {
+        await window.app.folderTree?.refresh();
+      }
 
     } catch (error) {
       console.error('Error deleting files:', error);
@@ -497,17 +515,21 @@ class KeyboardManager {
    * Perform rename action
    * @param {string} fileId File ID
    * @param {string} newName New name
+   * @param {boolean} [isFolder] Whether a folder is renamed
    */
-  async performRenameAction(fileId, newName) {
+  async performRenameAction(fileId, newName, isFolder = false) {
     try {
-      await window.firestore.renameFile(fileId, newName, window.app.user.uid);
-      window.showToast('File renamed successfully', 'success');
+      await firestoreManager.renameFile(fileId, newName, window.app.user.uid);
+      window.showToast(isFolder ? 'Folder renamed successfully' : 'File renamed successfully', 'success');
       
       // Reload files
       await window.app.loadFiles();
+      if (isFolder) {
+        await window.app.folderTree?.refresh();
+      }
     } catch (error) {
       console.error('Error renaming file:', error);
-      window.showToast('Error renaming file', 'error');
+      window.showToast(error.code ? error.message : 'Error renaming file', 'error');
     }
   }
 
@@ -524,7 +546,7 @@ class KeyboardManager {
       const action = hasUnstarred; // Star if any are unstarred
 
       for (const fileId of fileIds) {
-        await window.firestore.starFile(fileId, action, window.app.user.uid);
+        await firestoreManager.starFile(fileId, action, window.app.user.uid);
       }
 
       window.showToast(
@@ -548,13 +570,14 @@ class KeyboardManager {
   async performDownloadAction() {
     try {
       const fileIds = Array.from(window.app.selectedFiles);
+      const single = fileIds.length === 1 && window.app.files.find(file => file.id === fileIds[0]);
       
-      if (fileIds.length === 1) {
+      if (single && single.type !== 'folder') {
         // Single file download
         await window.app.downloadFile(fileIds[0]);
       } else {
-        // Multiple files - would need to create zip
-        window.showToast('Multiple file download not implemented yet', 'info');
+        // Several items or a folder: one ZIP with the folder structure
+        await window.app.downloadItems(fileIds);
       }
     } catch (error) {
       console.error('Error downloading files:', error);
@@ -576,13 +599,8 @@ class KeyboardManager {
    * @param {string} fileId File ID
    */
   async performDuplicateAction(fileId) {
-    try {
-      // Implementation would depend on duplicate functionality
-      console.log('Duplicating file:', fileId);
-      window.showToast('Duplicate functionality not implemented yet', 'info');
-    } catch (error) {
-      console.error('Error duplicating file:', error);
-      window.showToast('Error duplicating file', 'error');
+    if (window.app) {
+      await window.app.duplicateFile(fileId);
     }
   }
 
@@ -621,8 +639,8 @@ class KeyboardManager {
 
     // Group shortcuts by category
     const categories = {
-      'Navigation': ['/', 'g m', 'g s', 'g r', 'g t', 'g a'],
-      'File Actions': ['u', 'Delete', 'r', 's', 'd', 'Shift+s', 'Ctrl+d'],
+      'Navigation': ['/', 'g m', 'g s', 'g r', 'g t', 'g a', 'Alt+Up'],
+      'File Actions': ['u', 'Delete', 'r', 's', 'd', 'Shift+s', 'Ctrl+d', 'm'],
       'Selection': ['Ctrl+a', 'Escape'],
       'View': ['v', 't'],
       'Other': [',', '?']
@@ -0,0 +1,205 @@
+/**
+ * Drive Nest - Maintenance Panel Module
+ * Settings panel that scans for orphaned records (see maintenance.js),
+ * lists what it found and cleans it up on confirmation
+ */
+
+import maintenanceManager from '../maintenance.js';
+import { showToast, showConfirmDialog } from './modals.js';
+
+// How many entries of each kind the report lists before summarizing
+const REPORT_DETAIL_LIMIT = 10;
+
+class MaintenancePanel {
+  constructor(app) {
+    this.app = app;
+    this.report = null;
+
+    document.getElementById('maintenance-scan-btn')?.addEventListener('click', () => this.scan());
+    document.getElementById('maintenance-clean-btn')?.addEventListener('click', () => this.clean());
+  }
+
+  /**
+   * Reset the panel when settings open; a report from earlier may be stale
+   */
+  reset() {
+    this.report = null;
+    this.setCleanVisible(false);
+    const container = document.getElementById('maintenance-report');
+    if (container) container.innerHTML = '';
+  }
+
+  /**
+   * Find what maintenance would clean, without changing anything
+   */
+  async scan() {
+    const user = window.authManager?.getCurrentUser();
+    if (!user) return;
+
+    this.setBusy(true, 'Scanning...');
+    try {
+      this.report = await maintenanceManager.scan(user.uid);
+      this.render(this.report);
+      this.setCleanVisible(maintenanceManager.getTotal(this.report) > 0);
+    } catch (error) {
+      console.error('Error scanning storage:', error);
+      this.renderError(`Scan failed: ${error.message}`);
+    } finally {
+      this.setBusy(false);
+    }
+  }
+
+  /**
+   * Clean everything, after the user confirms what the last scan found
+   */
+  async clean() {
+    const user = window.authManager?.getCurrentUser();
+    if (!user || !this.report) return;
+
+    const confirmed = await showConfirmDialog(
+      'Clean up',
+      `Remove ${maintenanceManager.getTotal(this.report)} orphaned record(s)? ` +
+      'Items in deleted folders are moved to Trash; everything else is deleted permanently. ' +
+      'Avoid running this while uploads are in progress on another device.',
+      { confirmText: 'Clean up', destructive: true }
+    );
+    if (!confirmed) return;
+
+    this.setBusy(true, 'Cleaning...');
+    try {
+      this.report = await maintenanceManager.clean(user.uid);
+      this.render(this.report);
+      this.setCleanVisible(false);
+      showToast(`Maintenance finished: ${maintenanceManager.getTotal(this.report)} item(s) cleaned`, 'success');
+
+      await this.app.loadFiles();
+      await this.app.updateStorageInfo?.();
+      await this.app.storageAnalytics?.show(user.uid);
+    } catch (error) {
+      console.error('Error cleaning storage:', error);
+      this.renderError(`Cleanup stopped: ${error.message}. Scan again to see what is left.`);
+      this.setCleanVisible(false);
+    } finally {
+      this.setBusy(false);
+    }
+  }
+
+  /**
+   * @param {Object} report Maintenance report
+   */
+  render(report) {
+    const container = document.getElementById('maintenance-report');
+    if (!container) return;
+
+    const total = maintenanceManager.getTotal(report);
+    if (total === 0) {
+      container.innerHTML = '<div class="maintenance-summary">Nothing to clean up. Everything is in order.</div>';
+      return;
+    }
+
+    const verb = report.dryRun ? 'Found' : 'Cleaned';
+    const contentSize = report.contents.reduce((sum, content) => sum + content.size, 0);
+    const chunkCount = report.chunkSets.reduce((sum, set) => sum + set.count, 0);
+
+    container.innerHTML = `
+      <div class="maintenance-summary">${verb} ${total} item(s)${report.dryRun ? ' to clean up' : ''}.</div>
+      <ul class="maintenance-list">
+        ${this.renderEntry('Share links to deleted files', report.shareLinks,
+          link => `Link ${link.id} (file ${link.fileId})`)}
+        ${this.renderEntry('User shares of deleted files', report.userShares,
+          share => `${share.email || 'Unknown user'} (file ${share.fileId})`)}
+        ${this.renderEntry(`Unused file content (${this.app.formatFileSize(contentSize)})`, report.contents,
+          content => `${content.id} · ${this.app.formatFileSize(content.size)} in ${content.chunkCount} chunk(s)`)}
+        ${this.renderEntry(`Chunks without content or file (${chunkCount} chunk(s))`, report.chunkSets,
+          set => `${set.path} · ${set.count} chunk(s)`)}
+        ${this.renderEntry('Content with a wrong reference count', report.refCounts,
+          content => `${content.id}: ${content.from} → ${content.to}`)}
+        ${this.renderEntry(report.dryRun ? 'Items in deleted folders (will move to Trash)' : 'Items in deleted folders (moved to Trash)',
+          report.unreachable, item => `${item.type === 'folder' ? '📁' : '📄'} /${item.path}/${item.name}`)}
+        ${this.renderEntry(`Activity entries before ${this.app.formatDate(report.activityCutoff)}`, report.activities)}
+      </ul>
+    `;
+  }
+
+  /**
+   * @param {string} label What the entries are
+   * @param {Array} entries Entries found
+   * @param {function(Object): string} [describe] One-line description of an entry
+   * @returns {string} List item HTML (empty when nothing was found)
+   */
+  renderEntry(label, entries, describe) {
+    if (entries.length === 0) return '';
+
+    const details = describe ? entries.slice(0, REPORT_DETAIL_LIMIT).map(entry => `
+      <li>${this.escapeHtml(describe(entry))}</li>
+    `).join('') : '';
+    const more = describe && entries.length > REPORT_DETAIL_LIMIT
+      ? `<li class="maintenance-more">and ${entries.length - REPORT_DETAIL_LIMIT} more</li>`
+      : '';
+
+    return `
+      <li>
+        <span class="maintenance-count">${entries.length}</span>
+        <span class="maintenance-label">${this.escapeHtml(label)}</span>
+        ${details ? `<ul class="maintenance-entries">${details}${more}</ul>` : ''}
+      </li>
+    `;
+  }
+
+  /**
+   * @param {string} message Error message
+   */
+  renderError(message) {
+    const container = document.getElementById('maintenance-report');
+    if (container) {
+      container.innerHTML = `<div class="maintenance-summary maintenance-error">${this.escapeHtml(message)}</div>`;
+    }
+  }
+
+  /**
+   * @param {boolean} busy Whether a run is in progress
+   * @param {string} [label] Scan button label while busy
+   */
+  setBusy(busy, label) {
+    const scanBtn = document.getElementById('maintenance-scan-btn');
+    const cleanBtn = document.getElementById('maintenance-clean-btn');
+
+    if (scanBtn) {
+      scanBtn.disabled = busy;
+      if (!scanBtn.dataset.label) scanBtn.dataset.label = scanBtn.textContent;
+      scanBtn.textContent = busy ? label : scanBtn.dataset.label;
+    }
+    if (cleanBtn) cleanBtn.disabled = busy;
+  }
+
+  /**
+   * @param {boolean} visible Whether the clean button is shown
+   */
+  setCleanVisible(visible) {
+    document.getElementById('maintenance-clean-btn')?.classList.toggle('hidden', !visible);
+  }
+
+  /**
+   * Escape HTML to prevent XSS
+   * @param {string} text Text to escape
+   * @returns {string} Escaped text
+   */
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+}
+
+/**
+ * Setup the maintenance panel for the app
+ * @param {Object} app App instance
+ * @returns {MaintenancePanel} Maintenance panel
+ */
+export function setupMaintenancePanel(app) {
+  const maintenancePanel = new MaintenancePanel(app);
+  app.maintenancePanel = maintenancePanel;
+  return maintenancePanel;
+}
+
+export default MaintenancePanel;
@@ -0,0 +1,254 @@
+/**
+ * Drive Nest - Move Dialog Module
+ * Folder picker for moving files and folders. Browses one folder at a time,
+ * can create a folder inline, and won't offer a moved folder or anything
+ * inside it as the destination.
+ */
+
+import firestoreManager from '../firestore.js';
+import { normalizePath, splitPath, joinPath, getFolderPath, isWithinPath } from '../paths.js';
+import { showModal, hideModal, showToast } from './modals.js';
+
+class MoveDialog {
+  constructor(app) {
+    this.app = app;
+    this.modal = document.getElementById('move-modal');
+    this.items = [];
+    this.blockedPaths = [];
+    this.path = '';
+    this.resolve = null;
+
+    this.setupEventListeners();
+  }
+
+  setupEventListeners() {
+    if (!this.modal) return;
+
+    document.getElementById('move-confirm-btn')?.addEventListener('click', () => this.close(this.path));
+    document.getElementById('move-cancel-btn')?.addEventListener('click', () => this.close(null));
+    document.getElementById('move-new-folder-btn')?.addEventListener('click', () => this.showNewFolderInput());
+
+    document.getElementById('move-folder-list')?.addEventListener('click', (e) => {
+      const folder = e.target.closest('.move-folder');
+      if (folder && !folder.disabled) this.browse(folder.dataset.path);
+    });
+
+    document.getElementById('move-breadcrumb')?.addEventListener('click', (e) => {
+      const link = e.target.closest('.breadcrumb-link');
+      if (!link) return;
+      e.preventDefault();
+      this.browse(link.dataset.path);
+    });
+
+    // Closing the modal any other way (✕, backdrop, Escape) cancels
+    new MutationObserver(() => {
+      if (this.modal.classList.contains('hidden') && this.resolve) {
+        this.finish(null);
+      }
+    }).observe(this.modal, { attributes: true, attributeFilter: ['class'] });
+  }
+
+  /**
+   * Ask where to move items
+   * @param {Array} items File and folder documents being moved
+   * @returns {Promise<string|null>} Destination folder path, or null if cancelled
+   */
+  choose(items) {
+    if (this.resolve) this.finish(null);
+
+    this.items = items;
+    // A folder can't go into itself or anything below it
+    this.blockedPaths = items.filter(item => item.type === 'folder').map(getFolderPath);
+
+    const title = document.getElementById('move-title');
+    if (title) {
+      title.textContent = items.length === 1 ? `Move "${items[0].name}"` : `Move ${items.length} items`;
+    }
+
+    showModal('move-modal');
+    this.browse(normalizePath(items[0]?.path));
+
+    return new Promise(resolve => {
+      this.resolve = resolve;
+    });
+  }
+
+  /**
+   * Show a folder's subfolders
+   * @param {string} path Folder path
+   */
+  async browse(path) {
+    const user = window.authManager?.getCurrentUser();
+    if (!user) return;
+
+    this.path = normalizePath(path);
+    this.renderBreadcrumb();
+    this.updateConfirmButton();
+
+    const list = document.getElementById('move-folder-list');
+    list.innerHTML = '<li class="move-empty">Loading...</li>';
+
+    try {
+      const folders = await firestoreManager.getSubfolders(user.uid, this.path);
+      // Another folder was opened while this one loaded
+      if (normalizePath(path) !== this.path) return;
+      this.renderFolders(folders);
+    } catch (error) {
+      console.error('Error loading folders:', error);
+      list.innerHTML = `<li class="move-empty">Could not load folders: ${this.escapeHtml(error.message)}</li>`;
+    }
+  }
+
+  renderBreadcrumb() {
+    const breadcrumb = document.getElementById('move-breadcrumb');
+    const segments = splitPath(this.path);
+    const crumbs = [{ name: 'My Files', path: '' }, ...segments.map((name, index) => ({
+      name,
+      path: segments.slice(0, index + 1).join('/')
+    }))];
+
+    breadcrumb.innerHTML = crumbs.map((crumb, index) => index === crumbs.length - 1
+      ? `<span class="breadcrumb-item active">${this.escapeHtml(crumb.name)}</span>`
+      : `<a href="#" class="breadcrumb-item breadcrumb-link" data-path="${this.escapeHtml(crumb.path)}">${this.escapeHtml(crumb.name)}</a>`
+    ).join('');
+  }
+
+  /**
+   * @param {Array} folders Subfolders of the current folder
+   */
+  renderFolders(folders) {
+    const list = document.getElementById('move-folder-list');
+
+    if (folders.length === 0) {
+      list.innerHTML = '<li class="move-empty">No folders here</li>';
+      return;
+    }
+
+    list.innerHTML = folders.map(folder => {
+      const path = getFolderPath(folder);
+      const blocked = this.isBlocked(path);
+      return `
+        <li>
+          <button class="move-folder" data-path="${this.escapeHtml(path)}" ${blocked ? 'disabled title="A folder can\'t be moved into itself"' : ''}>
+            <span class="move-folder-icon">📁</span>
+            <span class="move-folder-name">${this.escapeHtml(folder.name)}</span>
+            <span class="move-folder-chevron">›</span>
+          </button>
+        </li>
+      `;
+    }).join('');
+  }
+
+  /**
+   * Offer an inline name field at the top of the folder list
+   */
+  showNewFolderInput() {
+    const list = document.getElementById('move-folder-list');
+    if (list.querySelector('.move-new-folder')) {
+      list.querySelector('.move-new-folder input')?.focus();
+      return;
+    }
+
+    list.querySelector('.move-empty')?.remove();
+    list.insertAdjacentHTML('afterbegin', `
+      <li class="move-new-folder">
+        <span class="move-folder-icon">📁</span>
+        <input type="text" class="input-field" placeholder="Folder name">
+        <button class="btn btn-primary move-create-btn">Create</button>
+      </li>
+    `);
+
+    const row = list.querySelector('.move-new-folder');
+    const input = row.querySelector('input');
+    input.focus();
+
+    input.addEventListener('keydown', (e) => {
+      // Keep Escape from closing the whole dialog
+      e.stopPropagation();
+      if (e.key === 'Enter') this.createFolder(input.value);
+      if (e.key === 'Escape') this.browse(this.path);
+    });
+    row.querySelector('.move-create-btn').addEventListener('click', () => this.createFolder(input.value));
+  }
+
+  /**
+   * Create a folder in the current folder and open it
+   * @param {string} name Folder name
+   */
+  async createFolder(name) {
+    const user = window.authManager?.getCurrentUser();
+    if (!user) return;
+
+    try {
+      const folder = await firestoreManager.createFolder(name, this.path, user.uid);
+      showToast(`Folder "${folder.name}" created`, 'success');
+      this.app.folderTree?.refresh();
+      await this.browse(joinPath(this.path, folder.name));
+    } catch (error) {
+      console.error('Error creating folder:', error);
+      showToast(error.message, 'error');
+    }
+  }
+
+  /**
+   * Disable "Move here" where the move would do nothing or isn't allowed
+   */
+  updateConfirmButton() {
+    const button = document.getElementById('move-confirm-btn');
+    if (!button) return;
+
+    const alreadyHere = this.items.every(item => normalizePath(item.path) === this.path);
+    button.disabled = alreadyHere || this.isBlocked(this.path);
+    button.title = alreadyHere ? 'Already in this folder' : '';
+  }
+
+  /**
+   * @param {string} path Folder path
+   * @returns {boolean} True if a moved folder is this folder or contains it
+   */
+  isBlocked(path) {
+    return this.blockedPaths.some(blockedPath => isWithinPath(path, blockedPath));
+  }
+
+  /**
+   * @param {string|null} result Destination path, or null to cancel
+   */
+  close(result) {
+    this.finish(result);
+    hideModal('move-modal');
+  }
+
+  /**
+   * Settle the pending choice
+   * @param {string|null} result Destination path, or null to cancel
+   */
+  finish(result) {
+    const resolve = this.resolve;
+    this.resolve = null;
+    resolve?.(result);
+  }
+
+  /**
+   * Escape HTML to prevent XSS
+   * @param {string} text Text to escape
+   * @returns {string} Escaped text
+   */
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+}
+
+/**
+ * Setup the move dialog for the app
+ * @param {Object} app App instance
+ * @returns {MoveDialog} Move dialog
+ */
+export function setupMoveDialog(app) {
+  const moveDialog = new MoveDialog(app);
+  app.moveDialog = moveDialog;
+  return moveDialog;
+}
+
+export default MoveDialog;
@@ -0,0 +1,136 @@
+/**
+ * Drive Nest - Upload Store Module
+ * Persists queued and in-flight uploads to IndexedDB so they can be resumed
+ * after the page is closed or reloaded
+ */
+
+const DB_NAME = 'drive-nest-uploads';
+const DB_VERSION = 1;
+const STORE_NAME = 'uploads';
+
+class UploadStore {
+  constructor() {
+    this.dbPromise = null;
+    this.isAvailable = typeof indexedDB !== 'undefined';
+  }
+
+  /**
+   * Open (and create on first use) the uploads database
+   * @returns {Promise<IDBDatabase>} Database handle
+   */
+  open() {
+    if (!this.isAvailable) {
+      return Promise.reject(new Error('IndexedDB is not available'));
+    }
+
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(STORE_NAME)) {
+            const store = db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+            store.createIndex('userId', 'userId', { unique: false });
+          }
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          this.dbPromise = null;
+          reject(request.error);
+        };
+      });
+    }
+
+    return this.dbPromise;
+  }
+
+  /**
+   * Run a single request against the uploads store
+   * @param {IDBTransactionMode} mode Transaction mode
+   * @param {function(IDBObjectStore): IDBRequest} operation Builds the request
+   * @returns {Promise<*>} Request result
+   */
+  async run(mode, operation) {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE_NAME, mode);
+      const request = operation(transaction.objectStore(STORE_NAME));
+
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Save an upload record, including the file blob
+   * @param {Object} record Upload record ({ id, userId, file, path, checkpoint, ... })
+   * @returns {Promise<void>}
+   */
+  async saveUpload(record) {
+    try {
+      await this.run('readwrite', store => store.put({
+        ...record,
+        updatedAt: Date.now()
+      }));
+    } catch (error) {
+      console.error('Error saving upload record:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Merge updates into a stored upload record
+   * @param {string} id Upload ID
+   * @param {Object} updates Fields to update
+   * @returns {Promise<void>}
+   */
+  async updateUpload(id, updates) {
+    try {
+      const record = await this.run('readonly', store => store.get(id));
+      if (!record) return;
+
+      await this.saveUpload({ ...record, ...updates });
+    } catch (error) {
+      console.error('Error updating upload record:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the uploads a user left unfinished, oldest first
+   * @param {string} userId User ID
+   * @returns {Promise<Object[]>} Upload records
+   */
+  async getPendingUploads(userId) {
+    try {
+      const records = await this.run('readonly', store => store.index('userId').getAll(userId));
+      return records.sort((a, b) => a.createdAt - b.createdAt);
+    } catch (error) {
+      console.error('Error getting pending uploads:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove an upload record
+   * @param {string} id Upload ID
+   * @returns {Promise<void>}
+   */
+  async deleteUpload(id) {
+    try {
+      await this.run('readwrite', store => store.delete(id));
+    } catch (error) {
+      console.error('Error deleting upload record:', error);
+      throw error;
+    }
+  }
+}
+
+// Create and export upload store instance
+const uploadStore = new UploadStore();
+
+export default uploadStore;
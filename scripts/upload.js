@@ -3,16 +3,21 @@
  * Handles file uploads with drag-and-drop, progress tracking, and queue management
  */
 
-import firestoreStorageManager from './storage-firestore.js';
+import storageBackend from './storage-backend.js';
 import firestoreManager from './firestore.js';
-import { showToast, showProgress, updateProgress, hideProgress } from './ui/modals.js';
+import uploadStore from './upload-store.js';
+import quotaManager from './quota.js';
+import vaultManager from './vault.js';
+import { splitPath, getParentPath } from './paths.js';
+import { showToast, showProgress, showConfirmDialog } from './ui/modals.js';
 
 class UploadHandler {
   constructor() {
     this.uploadQueue = [];
     this.activeUploads = new Map();
+    this.currentBatch = [];
+    this.progressDialog = null;
     this.maxConcurrentUploads = 3;
-    this.maxFileSize = 1024 * 1024; // 1MB for free tier
     this.allowedTypes = new Set([
       // Images
       'image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp', 'image/svg+xml', 'image/bmp',
@@ -37,8 +42,8 @@ class UploadHandler {
       'application/octet-stream'
     ]);
 
-    // Use Firestore storage manager
-    this.storageManager = firestoreStorageManager;
+    // Storage backend selected in firebase-config.js
+    this.storageManager = storageBackend;
 
     this.dropZone = null;
     this.fileInput = null;
@@ -52,8 +57,8 @@ class UploadHandler {
    */
   initializeEventListeners() {
     document.addEventListener('DOMContentLoaded', () => {
+      // The upload modal's file input is wired up by the app
       this.setupDropZone();
-      this.setupFileInput();
       this.setupUploadButton();
     });
   }
@@ -86,25 +91,9 @@ class UploadHandler {
       });
     });
 
-    // Handle file drop
+    // Handle file drop (folders keep their structure)
     this.dropZone.addEventListener('drop', (e) => {
-      const files = Array.from(e.dataTransfer.files);
-      this.handleFileSelection(files);
-    });
-  }
-
-  /**
-   * Setup file input functionality
-   */
-  setupFileInput() {
-    this.fileInput = document.getElementById('file-input');
-    if (!this.fileInput) return;
-
-    this.fileInput.addEventListener('change', (e) => {
-      const files = Array.from(e.target.files);
-      this.handleFileSelection(files);
-      // Clear input so same file can be selected again
-      e.target.value = '';
+      this.handleDrop(e.dataTransfer);
     });
   }
 
@@ -116,15 +105,16 @@ class UploadHandler {
     if (!this.uploadButton) return;
 
     this.uploadButton.addEventListener('click', () => {
-      this.fileInput?.click();
+      document.getElementById('file-input')?.click();
     });
   }
 
   /**
    * Handle file selection from drag-drop or file input
    * @param {File[]} files Selected files
+   * @param {string} [path] Folder path to upload into (defaults to the current folder)
    */
-  async handleFileSelection(files) {
+  async handleFileSelection(files, path) {
     if (!files || files.length === 0) return;
 
     try {
@@ -148,7 +138,7 @@ class UploadHandler {
 
       // Upload valid files
       if (validFiles.length > 0) {
-        await this.uploadFiles(validFiles);
+        await this.uploadFiles(validFiles, path);
       }
 
     } catch (error) {
@@ -157,17 +147,173 @@ class UploadHandler {
     }
   }
 
+  /**
+   * Upload what was dropped: files as they are, folders with everything in
+   * them. Must be called while the drop event is being handled; the
+   * browser empties the DataTransfer afterwards.
+   * @param {DataTransfer} dataTransfer Drop data
+   * @param {string} [path] Folder path to upload into (defaults to the current folder)
+   */
+  async handleDrop(dataTransfer, path) {
+    // Entries have to be taken before the first await
+    const entries = Array.from(dataTransfer.items || [])
+      .filter(item => item.kind === 'file')
+      .map(item => item.webkitGetAsEntry?.())
+      .filter(Boolean);
+    const files = Array.from(dataTransfer.files);
+
+    if (!entries.some(entry => entry.isDirectory)) {
+      await this.handleFileSelection(files, path);
+      return;
+    }
+
+    try {
+      const tree = await this.readEntries(entries);
+      await this.uploadFolders(tree, path);
+    } catch (error) {
+      console.error('Error reading dropped folders:', error);
+      showToast(`Could not read the dropped folder: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Upload files picked with a folder picker (input with webkitdirectory)
+   * @param {File[]} files Picked files; webkitRelativePath starts with the folder name
+   * @param {string} [path] Folder path to upload into (defaults to the current folder)
+   */
+  async handleFolderSelection(files, path) {
+    if (!files || files.length === 0) return;
+
+    await this.uploadFolders(files.map(file => ({
+      file,
+      relativePath: getParentPath(file.webkitRelativePath || '')
+    })), path);
+  }
+
+  /**
+   * Walk dropped entries, folders recursively
+   * @param {FileSystemEntry[]} entries Dropped entries
+   * @param {string} [parentPath] Path of the folder the entries are in
+   * @returns {Promise<Array<{file: File|null, relativePath: string}>>} Files
+   *   with the folder they are in; empty folders appear with file null
+   */
+  async readEntries(entries, parentPath = '') {
+    const result = [];
+
+    for (const entry of entries) {
+      if (entry.isFile) {
+        const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+        result.push({ file, relativePath: parentPath });
+        continue;
+      }
+
+      const folderPath = parentPath ? `${parentPath}/${entry.name}` : entry.name;
+      const children = await this.readDirectory(entry);
+      if (children.length === 0) {
+        result.push({ file: null, relativePath: folderPath });
+      }
+      result.push(...await this.readEntries(children, folderPath));
+    }
+
+    return result;
+  }
+
+  /**
+   * @param {FileSystemDirectoryEntry} directory Directory entry
+   * @returns {Promise<FileSystemEntry[]>} Everything directly inside it
+   */
+  async readDirectory(directory) {
+    const reader = directory.createReader();
+    const children = [];
+
+    // readEntries returns a limited number of entries per call
+    for (;;) {
+      const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+      if (batch.length === 0) return children;
+      children.push(...batch);
+    }
+  }
+
+  /**
+   * Upload files into the folders they came from, creating those folders
+   * under the target folder. Uploads are queued folder by folder (by
+   * top-level folder) and the progress dialog reports each one.
+   * @param {Array<{file: File|null, relativePath: string}>} entries Files with
+   *   their folder path relative to the target ('' for loose files); an entry
+   *   without a file stands for an empty folder
+   * @param {string} [path] Folder path to upload into (defaults to the current folder)
+   * @returns {Promise<Object[]>} Upload objects once every file has finished or failed
+   */
+  async uploadFolders(entries, path = (window.app?.currentPath || []).join('/')) {
+    const user = window.authManager?.getCurrentUser();
+    if (!user) throw new Error('User not authenticated');
+
+    try {
+      const valid = [];
+      const invalidFiles = [];
+      entries.filter(entry => entry.file).forEach(entry => {
+        const validation = this.validateFile(entry.file);
+        if (validation.valid) {
+          valid.push(entry);
+        } else {
+          invalidFiles.push({ file: entry.file, reason: validation.reason });
+        }
+      });
+      if (invalidFiles.length > 0) {
+        this.showValidationErrors(invalidFiles);
+      }
+
+      const { accepted, refused, remaining, quota } = await this.checkQuota(valid.map(entry => entry.file));
+      if (refused.length > 0) {
+        this.showQuotaRefusal(refused, remaining, quota);
+      }
+
+      const acceptedFiles = new Set(accepted);
+      const toUpload = valid.filter(entry => acceptedFiles.has(entry.file));
+
+      // Folders are created even when none of their files fit
+      const folderPaths = await firestoreManager.createFolderPaths(
+        path,
+        entries.map(entry => entry.relativePath),
+        user.uid
+      );
+      window.app?.folderTree?.refresh();
+      if (toUpload.length === 0) {
+        window.app?.loadFiles?.();
+        return [];
+      }
+
+      const uploads = toUpload.map(entry => {
+        const upload = this.createUpload(entry.file, folderPaths.get(entry.relativePath));
+        upload.group = splitPath(entry.relativePath)[0] || '';
+        return upload;
+      });
+
+      // Finish one folder before starting the next
+      const groupOrder = Array.from(new Set(uploads.map(upload => upload.group)));
+      uploads.sort((a, b) => groupOrder.indexOf(a.group) - groupOrder.indexOf(b.group));
+
+      await Promise.all(uploads.map(upload => this.persistUpload(upload)));
+      return this.enqueueUploads(uploads);
+    } catch (error) {
+      console.error('Error uploading folders:', error);
+      showToast(`Folder upload failed: ${error.message}`, 'error');
+      return [];
+    }
+  }
+
   /**
    * Validate a single file
    * @param {File} file File to validate
    * @returns {Object} Validation result
    */
   validateFile(file) {
-    // Check file size
-    if (file.size > this.maxFileSize) {
+    // Check file size on the original, before anything is read
+    const maxFileSize = quotaManager.getMaxFileSize(storageBackend);
+    if (file.size > maxFileSize) {
       return {
         valid: false,
-        reason: `File size exceeds ${this.formatFileSize(this.maxFileSize)} limit`
+        reason: `File size exceeds ${this.formatFileSize(maxFileSize)} limit`
       };
     }
 
@@ -205,30 +351,110 @@ class UploadHandler {
   /**
    * Upload multiple files
    * @param {File[]} files Files to upload
+   * @param {string} [path] Folder path to upload into (defaults to the current folder)
+   * @returns {Promise<Object[]>} Upload objects once every file has finished or failed
+   */
+  async uploadFiles(files, path = (window.app?.currentPath || []).join('/')) {
+    if (files.length === 0) return [];
+
+    // Refuse what can't fit before any bytes are read or persisted
+    const { accepted, refused, remaining, quota } = await this.checkQuota(files);
+    if (refused.length > 0) {
+      this.showQuotaRefusal(refused, remaining, quota);
+    }
+    if (accepted.length === 0) return [];
+
+    const uploads = accepted.map(file => this.createUpload(file, path));
+    await Promise.all(uploads.map(upload => this.persistUpload(upload)));
+
+    return this.enqueueUploads(uploads);
+  }
+
+  /**
+   * Split files by whether they fit in the remaining quota, going by the
+   * sizes the browser reports, before anything is read.
+   * @param {File[]} files Files to upload
+   * @returns {Promise<Object>} `{ accepted, refused, remaining, quota }`
    */
-  async uploadFiles(files) {
-    if (files.length === 0) return;
+  async checkQuota(files) {
+    const user = window.authManager?.getCurrentUser();
+    if (!user) throw new Error('User not authenticated');
+
+    const { remaining, quota } = await quotaManager.getRemaining(user.uid);
+    const accepted = [];
+    const refused = [];
+    let left = remaining;
+
+    files.forEach(file => {
+      if (file.size <= left) {
+        accepted.push(file);
+        left -= file.size;
+      } else {
+        refused.push(file);
+      }
+    });
+
+    return { accepted, refused, remaining, quota };
+  }
 
-    // Add files to upload queue
-    const uploads = files.map(file => ({
-      id: this.generateUploadId(),
+  /**
+   * Explain why files were refused for lack of space
+   * @param {File[]} refused Files that don't fit
+   * @param {number} remaining Bytes left in the quota
+   * @param {number} quota Total quota in bytes
+   */
+  showQuotaRefusal(refused, remaining, quota) {
+    const needed = refused.reduce((sum, file) => sum + file.size, 0);
+    const what = refused.length === 1
+      ? `"${refused[0].name}" (${this.formatFileSize(needed)})`
+      : `${refused.length} files (${this.formatFileSize(needed)})`;
+    const left = remaining > 0
+      ? `Only ${this.formatFileSize(remaining)} of your ${this.formatFileSize(quota)} is left.`
+      : `Your ${this.formatFileSize(quota)} of storage is full.`;
+
+    showToast(`Not uploaded: ${what} won't fit. ${left} Free up space or empty the trash, then try again.`, 'error', 8000);
+  }
+
+  /**
+   * Create an upload object
+   * @param {File} file File to upload
+   * @param {string} path Folder path to upload into
+   * @param {Object} [restored] Persisted fields of an interrupted upload
+   * @returns {Object} Upload object
+   */
+  createUpload(file, path, restored = {}) {
+    const upload = {
+      id: restored.id || this.generateUploadId(),
       file,
+      path,
       status: 'queued',
       progress: 0,
+      bytesTransferred: 0,
+      checkpoint: restored.checkpoint || null,
+      createdAt: restored.createdAt || Date.now(),
       error: null,
       startTime: null,
       endTime: null
-    }));
+    };
+    upload.done = new Promise(resolve => { upload.settle = resolve; });
+    return upload;
+  }
 
+  /**
+   * Add uploads to the queue and start processing
+   * @param {Object[]} uploads Upload objects
+   * @returns {Promise<Object[]>} Upload objects once every file has finished or failed
+   */
+  enqueueUploads(uploads) {
     this.uploadQueue.push(...uploads);
+    this.currentBatch.push(...uploads);
 
-    // Show upload progress modal for multiple files
-    if (files.length > 1) {
-      this.showBatchUploadProgress(uploads);
-    }
+    this.showUploadProgress();
 
     // Process upload queue
-    await this.processUploadQueue();
+    this.processUploadQueue();
+
+    return Promise.all(uploads.map(upload => upload.done));
   }
 
   /**
@@ -251,22 +477,11 @@ class UploadHandler {
       upload.startTime = Date.now();
       this.activeUploads.set(upload.id, upload);
 
-      // Show individual progress for single file uploads
-      if (this.activeUploads.size === 1 && this.uploadQueue.length === 0) {
-        showProgress(`Uploading ${upload.file.name}...`, 0);
-      }
-
-      // Upload file to Firebase Storage
-      const currentPath = window.app?.currentPath || [];
-      const uploadPath = currentPath.join('/');
-      
       const result = await this.storageManager.uploadFile(
         upload.file,
-        uploadPath,
-        (progress) => {
-          upload.progress = progress;
-          this.updateUploadProgress(upload);
-        }
+        upload.path,
+        (progress) => this.handleProgressEvent(upload, progress),
+        upload.checkpoint
       );
 
       // File is already saved by storage manager, no need to save metadata again
@@ -275,17 +490,12 @@ class UploadHandler {
       // Mark as completed
       upload.status = 'completed';
       upload.progress = 100;
+      upload.bytesTransferred = upload.file.size;
       upload.endTime = Date.now();
       upload.result = result;
 
       this.updateUploadProgress(upload);
 
-      // Show success notification
-      if (this.activeUploads.size === 1 && this.uploadQueue.length === 0) {
-        hideProgress();
-        showToast(`${upload.file.name} uploaded successfully`, 'success');
-      }
-
       // Refresh file list
       if (window.app && typeof window.app.loadFiles === 'function') {
         window.app.loadFiles();
@@ -298,15 +508,15 @@ class UploadHandler {
       upload.error = error.message;
       upload.endTime = Date.now();
 
-      // Show error notification
-      if (this.activeUploads.size === 1 && this.uploadQueue.length === 0) {
-        hideProgress();
-      }
-      
+      this.updateUploadProgress(upload);
+
       showToast(`Failed to upload ${upload.file.name}: ${error.message}`, 'error');
     } finally {
-      // Remove from active uploads
+      // Remove from active uploads; failed uploads have had their partial
+      // content cleaned up, so there is nothing left to resume
       this.activeUploads.delete(upload.id);
+      this.forgetUpload(upload.id);
+      upload.settle(upload);
 
       // Process next item in queue
       if (this.uploadQueue.length > 0) {
@@ -319,16 +529,38 @@ class UploadHandler {
   }
 
   /**
-   * Update upload progress
+   * Apply a storage backend progress event to an upload
    * @param {Object} upload Upload object
+   * @param {Object} progress `{ bytesTransferred, totalBytes, state }` from the backend
    */
-  updateUploadProgress(upload) {
-    // Update individual progress for single uploads
-    if (this.activeUploads.size === 1 && this.uploadQueue.length === 0) {
-      updateProgress(upload.progress);
+  handleProgressEvent(upload, progress) {
+    if (progress.state === 'error') return;
+
+    const totalBytes = progress.totalBytes || upload.file.size;
+    upload.bytesTransferred = Math.min(progress.bytesTransferred || 0, totalBytes);
+
+    if (progress.checkpoint) {
+      upload.checkpoint = progress.checkpoint;
+      uploadStore.updateUpload(upload.id, { checkpoint: progress.checkpoint }).catch(() => {});
     }
 
-    // Update batch progress modal if it exists
+    if (progress.state === 'success') {
+      upload.progress = 100;
+    } else {
+      // Every byte can be written while the file document is still pending;
+      // hold back 100% until the backend reports success
+      const percent = totalBytes > 0 ? (upload.bytesTransferred / totalBytes) * 100 : 0;
+      upload.progress = Math.min(percent, 99);
+    }
+
+    this.updateUploadProgress(upload);
+  }
+
+  /**
+   * Update upload progress
+   * @param {Object} upload Upload object
+   */
+  updateUploadProgress(upload) {
     this.updateBatchProgress();
 
     // Trigger custom event for progress updates
@@ -338,91 +570,253 @@ class UploadHandler {
   }
 
   /**
-   * Show batch upload progress modal
-   * @param {Array} uploads Array of upload objects
-   */
-  showBatchUploadProgress(uploads) {
-    const progressContent = `
-      <div class="batch-upload-progress">
-        <h3>Uploading ${uploads.length} files</h3>
-        <div class="upload-list">
-          ${uploads.map(upload => `
-            <div class="upload-item" data-upload-id="${upload.id}">
-              <div class="upload-file-info">
-                <span class="file-name">${upload.file.name}</span>
-                <span class="file-size">(${this.formatFileSize(upload.file.size)})</span>
-              </div>
-              <div class="upload-progress-bar">
-                <div class="progress-fill" style="width: 0%"></div>
-              </div>
-              <div class="upload-status">Queued</div>
-            </div>
-          `).join('')}
-        </div>
-        <div class="batch-progress-summary">
-          <div class="overall-progress">
-            <div class="progress-bar">
-              <div class="progress-fill" style="width: 0%"></div>
-            </div>
-            <span class="progress-text">0% complete</span>
-          </div>
-        </div>
-      </div>
-    `;
-
-    showProgress(progressContent, 0, false);
-  }
-
-  /**
-   * Update batch progress display
+   * Show the progress dialog for the current batch
    */
-  updateBatchProgress() {
-    const batchProgress = document.querySelector('.batch-upload-progress');
-    if (!batchProgress) return;
+  showUploadProgress() {
+    const folders = this.getBatchGroups().filter(group => group.name);
+    let title;
+    if (this.currentBatch.length === 1) {
+      title = `Uploading ${this.currentBatch[0].file.name}`;
+    } else if (folders.length === 1 && folders[0].uploads.length === this.currentBatch.length) {
+      title = `Uploading folder "${folders[0].name}"`;
+    } else {
+      title = `Uploading ${this.currentBatch.length} files`;
+    }
 
-    // Update individual upload items
-    for (const upload of this.activeUploads.values()) {
-      const uploadItem = batchProgress.querySelector(`[data-upload-id="${upload.id}"]`);
-      if (uploadItem) {
-        const progressFill = uploadItem.querySelector('.progress-fill');
-        const statusElement = uploadItem.querySelector('.upload-status');
-        
-        if (progressFill) {
-          progressFill.style.width = `${upload.progress}%`;
-        }
-        
-        if (statusElement) {
-          statusElement.textContent = this.getStatusText(upload.status, upload.progress);
-          statusElement.className = `upload-status ${upload.status}`;
-        }
-      }
+    if (this.progressDialog) {
+      this.progressDialog.close();
     }
 
-    // Update overall progress
+    this.progressDialog = showProgress(title, this.getBatchMessage());
+  }
+
+  /**
+   * Update the progress dialog from bytes written across the batch
+   */
+  updateBatchProgress() {
+    if (!this.progressDialog) return;
+
     const overallProgress = this.calculateOverallProgress();
-    const overallProgressBar = batchProgress.querySelector('.batch-progress-summary .progress-fill');
-    const overallProgressText = batchProgress.querySelector('.progress-text');
+    const { speed, eta } = this.calculateTransferRate();
 
-    if (overallProgressBar) {
-      overallProgressBar.style.width = `${overallProgress}%`;
-    }
-    
-    if (overallProgressText) {
-      overallProgressText.textContent = `${Math.round(overallProgress)}% complete`;
-    }
+    this.progressDialog.update(overallProgress, speed, eta);
+    this.progressDialog.setMessage(this.getBatchMessage());
   }
 
   /**
-   * Calculate overall progress percentage
+   * Describe batch state for the progress dialog
+   * @returns {string} Progress message
+   */
+  getBatchMessage() {
+    const summary = this.describeUploads(this.currentBatch);
+    const groups = this.getBatchGroups();
+    if (!groups.some(group => group.name)) return summary;
+
+    // One line per uploaded folder, plus loose files
+    const lines = groups.map(group => `${group.name ? `📁 ${group.name}` : 'Files'}: ${this.describeUploads(group.uploads)}`);
+    return [...lines, `Total: ${summary}`].join('\n');
+  }
+
+  /**
+   * @param {Object[]} uploads Upload objects
+   * @returns {string} Files finished and bytes written
+   */
+  describeUploads(uploads) {
+    const finished = uploads.filter(upload => upload.status === 'completed' || upload.status === 'failed').length;
+    const transferred = uploads.reduce((sum, upload) => sum + upload.bytesTransferred, 0);
+    const total = uploads.reduce((sum, upload) => sum + upload.file.size, 0);
+
+    return `${finished} of ${uploads.length} files · ${this.formatFileSize(transferred)} of ${this.formatFileSize(total)}`;
+  }
+
+  /**
+   * Uploads of the current batch by the top-level folder they came from
+   * @returns {Array<{name: string, uploads: Object[]}>} Groups in queue order;
+   *   name is '' for files uploaded on their own
+   */
+  getBatchGroups() {
+    const groups = new Map();
+    this.currentBatch.forEach(upload => {
+      const name = upload.group || '';
+      if (!groups.has(name)) groups.set(name, []);
+      groups.get(name).push(upload);
+    });
+    return Array.from(groups, ([name, uploads]) => ({ name, uploads }));
+  }
+
+  /**
+   * Calculate overall progress percentage, weighted by file size
    * @returns {number} Overall progress percentage
    */
   calculateOverallProgress() {
-    if (this.activeUploads.size === 0) return 100;
+    if (this.currentBatch.length === 0) return 100;
 
-    const totalProgress = Array.from(this.activeUploads.values())
-      .reduce((sum, upload) => sum + upload.progress, 0);
-    
-    return totalProgress / this.activeUploads.size;
+    const totalBytes = this.currentBatch.reduce((sum, upload) => sum + upload.file.size, 0);
+    if (totalBytes === 0) {
+      return this.currentBatch.reduce((sum, upload) => sum + upload.progress, 0) / this.currentBatch.length;
+    }
+
+    // Failed uploads no longer move; count them as done so the bar can finish
+    const doneBytes = this.currentBatch.reduce((sum, upload) => {
+      if (upload.status === 'failed') return sum + upload.file.size;
+      return sum + (upload.file.size * upload.progress) / 100;
+    }, 0);
+
+    return (doneBytes / totalBytes) * 100;
+  }
+
+  /**
+   * Calculate transfer speed and remaining time for the batch
+   * @returns {{speed: number, eta: number}} Bytes per second and seconds remaining
+   */
+  calculateTransferRate() {
+    const started = this.currentBatch.filter(upload => upload.startTime);
+    if (started.length === 0) return { speed: 0, eta: Infinity };
+
+    const elapsed = (Date.now() - Math.min(...started.map(upload => upload.startTime))) / 1000;
+    const transferred = this.currentBatch.reduce((sum, upload) => sum + upload.bytesTransferred, 0);
+    const remaining = this.currentBatch
+      .filter(upload => upload.status !== 'failed')
+      .reduce((sum, upload) => sum + upload.file.size - upload.bytesTransferred, 0);
+
+    const speed = elapsed > 0 ? transferred / elapsed : 0;
+    return { speed, eta: speed > 0 ? remaining / speed : Infinity };
+  }
+
+  /**
+   * Persist an upload so it can be resumed after a reload. Uploads still
+   * run if the browser refuses to store them, they just aren't resumable.
+   * Vault uploads aren't persisted, as the browser would keep their plaintext.
+   * @param {Object} upload Upload object
+   */
+  async persistUpload(upload) {
+    const user = window.authManager?.getCurrentUser();
+    if (!user || !uploadStore.isAvailable || vaultManager.isConfigured()) return;
+
+    try {
+      await uploadStore.saveUpload({
+        id: upload.id,
+        userId: user.uid,
+        file: upload.file,
+        name: upload.file.name,
+        type: upload.file.type,
+        lastModified: upload.file.lastModified,
+        size: upload.file.size,
+        path: upload.path,
+        checkpoint: upload.checkpoint,
+        createdAt: upload.createdAt
+      });
+    } catch (error) {
+      console.warn(`Upload of ${upload.file.name} will not be resumable:`, error);
+    }
+  }
+
+  /**
+   * Drop a persisted upload record
+   * @param {string} uploadId Upload ID
+   */
+  forgetUpload(uploadId) {
+    if (!uploadStore.isAvailable) return;
+    uploadStore.deleteUpload(uploadId).catch(() => {});
+  }
+
+  /**
+   * Offer to resume uploads a previous session left unfinished
+   * @param {string} userId Signed-in user ID
+   */
+  async offerPendingUploads(userId) {
+    if (!uploadStore.isAvailable) return;
+
+    try {
+      const pending = (await uploadStore.getPendingUploads(userId))
+        .filter(record => !this.activeUploads.has(record.id));
+      if (pending.length === 0) return;
+
+      const totalSize = pending.reduce((sum, record) => sum + record.size, 0);
+      const resume = await showConfirmDialog(
+        'Resume uploads',
+        `${pending.length} upload(s) (${this.formatFileSize(totalSize)}) didn't finish last time. Resume where they left off?`,
+        { confirmText: 'Resume', cancelText: 'Discard' }
+      );
+
+      if (resume) {
+        await this.resumeUploads(pending);
+      } else {
+        await this.discardUploads(pending);
+      }
+    } catch (error) {
+      console.error('Error restoring pending uploads:', error);
+    }
+  }
+
+  /**
+   * Queue persisted uploads again, continuing from their checkpoints
+   * @param {Object[]} records Persisted upload records
+   * @returns {Promise<Object[]>} Upload objects once every file has finished or failed
+   */
+  async resumeUploads(records) {
+    const unfinished = [];
+    for (const record of records) {
+      if (await this.isAlreadySaved(record)) {
+        this.forgetUpload(record.id);
+      } else {
+        unfinished.push(record);
+      }
+    }
+    if (unfinished.length === 0) return [];
+
+    const uploads = unfinished.map(record => {
+      const file = new File([record.file], record.name, {
+        type: record.type,
+        lastModified: record.lastModified
+      });
+      return this.createUpload(file, record.path, record);
+    });
+
+    showToast(`Resuming ${uploads.length} upload(s)`, 'info');
+    const results = await this.enqueueUploads(uploads);
+
+    if (window.app && typeof window.app.loadFiles === 'function') {
+      await window.app.loadFiles();
+    }
+
+    return results;
+  }
+
+  /**
+   * Forget persisted uploads and remove any chunks they already committed
+   * @param {Object[]} records Persisted upload records
+   */
+  async discardUploads(records) {
+    for (const record of records) {
+      let saved;
+      try {
+        saved = await this.isAlreadySaved(record);
+      } catch (error) {
+        // Keep the record, and its content, until it can be checked
+        console.warn('Could not check partial upload:', error);
+        continue;
+      }
+
+      if (!saved && record.checkpoint?.contentId) {
+        await firestoreManager.deleteFileContent(record.checkpoint.contentId).catch(error => {
+          console.warn('Could not remove partial upload content:', error);
+        });
+      }
+      this.forgetUpload(record.id);
+    }
+  }
+
+  /**
+   * A session can close after the file document was saved but before the
+   * upload record was forgotten; that upload is finished, not partial
+   * @param {Object} record Persisted upload record
+   * @returns {Promise<boolean>} True if the file document exists
+   */
+  async isAlreadySaved(record) {
+    const fileId = record.checkpoint?.fileId;
+    if (!fileId) return false;
+    return Boolean(await firestoreManager.getFileMetadata(fileId));
   }
 
   /**
@@ -445,13 +839,20 @@ class UploadHandler {
    * Called when all uploads are complete
    */
   onAllUploadsComplete() {
-    hideProgress();
-    
-    const completedCount = Array.from(this.activeUploads.values())
-      .filter(upload => upload.status === 'completed').length;
-    
-    if (completedCount > 1) {
-      showToast(`${completedCount} files uploaded successfully`, 'success');
+    this.progressDialog?.close();
+    this.progressDialog = null;
+
+    const completed = this.currentBatch.filter(upload => upload.status === 'completed');
+    const folders = this.getBatchGroups().filter(group => group.name);
+    this.currentBatch = [];
+
+    if (folders.length > 0 && completed.length > 0) {
+      const names = folders.map(group => `"${group.name}"`).join(', ');
+      showToast(`${completed.length} file(s) uploaded with folder(s) ${names}`, 'success');
+    } else if (completed.length === 1) {
+      showToast(`${completed[0].file.name} uploaded successfully`, 'success');
+    } else if (completed.length > 1) {
+      showToast(`${completed.length} files uploaded successfully`, 'success');
     }
 
     // Clear upload history (keep for debugging in dev mode)
@@ -467,6 +868,7 @@ class UploadHandler {
   clearUploadHistory() {
     this.uploadQueue = [];
     this.activeUploads.clear();
+    this.currentBatch = [];
   }
 
   /**
@@ -501,9 +903,14 @@ class UploadHandler {
         upload.cancelFunction();
       }
     }
+
+    for (const upload of this.uploadQueue) {
+      this.forgetUpload(upload.id);
+    }
     
     this.clearUploadHistory();
-    hideProgress();
+    this.progressDialog?.close();
+    this.progressDialog = null;
     showToast('Uploads cancelled', 'info');
   }
 
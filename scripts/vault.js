@@ -0,0 +1,365 @@
+/**
+ * Drive Nest - Encrypted Vault Module
+ * Opt-in end-to-end encryption of file content with WebCrypto AES-GCM.
+ * A random data key encrypts every file; it is stored in users/{uid} only
+ * wrapped with a key derived from the user's passphrase (PBKDF2), so the
+ * passphrase can change without re-encrypting files.
+ */
+
+import firestoreManager from './firestore.js';
+
+const PBKDF2_ITERATIONS = 310000;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+const VAULT_VERSION = 1;
+// HKDF info for the key that checksums vault content
+const HASH_KEY_INFO = 'drive-nest content checksum';
+
+class VaultManager {
+  constructor() {
+    this.userId = null;
+    this.config = null;
+    this.key = null;
+    this.hashKey = null;
+  }
+
+  /**
+   * Load a user's vault settings. The vault starts locked.
+   * @param {string} userId User ID
+   * @returns {Promise<boolean>} True if the user has set up a vault
+   */
+  async load(userId) {
+    try {
+      const userDoc = await firestoreManager.getUserDoc(userId);
+      this.userId = userId;
+      this.config = userDoc.vault || null;
+      this.key = null;
+      this.hashKey = null;
+      this.notifyChange();
+      return this.isConfigured();
+    } catch (error) {
+      console.error('Error loading vault:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Forget the loaded vault (on sign out)
+   */
+  reset() {
+    this.userId = null;
+    this.config = null;
+    this.key = null;
+    this.hashKey = null;
+    this.notifyChange();
+  }
+
+  /**
+   * @returns {boolean} True if the signed-in user has a vault
+   */
+  isConfigured() {
+    return Boolean(this.config?.wrappedKey);
+  }
+
+  /**
+   * @returns {boolean} True if files can be encrypted and decrypted right now
+   */
+  isUnlocked() {
+    return this.key !== null;
+  }
+
+  /**
+   * Create a vault protected by a passphrase and unlock it
+   * @param {string} passphrase New passphrase
+   * @returns {Promise<void>}
+   */
+  async setup(passphrase) {
+    if (!this.userId) throw new Error('User not authenticated');
+    if (this.isConfigured()) throw new Error('Vault is already set up');
+
+    try {
+      const dataKey = await crypto.subtle.generateKey(
+        { name: 'AES-GCM', length: 256 },
+        true,
+        ['encrypt', 'decrypt']
+      );
+
+      const config = await this.wrapDataKey(dataKey, passphrase);
+      config.created = new Date().toISOString();
+
+      await firestoreManager.updateUserDoc(this.userId, { vault: config });
+
+      this.config = config;
+      await this.useDataKey(dataKey);
+      this.notifyChange();
+    } catch (error) {
+      console.error('Error setting up vault:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Unlock the vault for this session
+   * @param {string} passphrase Vault passphrase
+   * @returns {Promise<void>}
+   */
+  async unlock(passphrase) {
+    if (!this.isConfigured()) throw new Error('Vault is not set up');
+
+    await this.useDataKey(await this.unwrapDataKey(this.config, passphrase, true));
+    this.notifyChange();
+  }
+
+  /**
+   * Drop the key from memory. Encrypted files can't be opened until the
+   * vault is unlocked again.
+   */
+  lock() {
+    if (!this.key) return;
+
+    this.key = null;
+    this.hashKey = null;
+    this.notifyChange();
+  }
+
+  /**
+   * Re-wrap the data key under a new passphrase. Files keep their
+   * encryption, only the stored wrapped key changes.
+   * @param {string} currentPassphrase Current passphrase
+   * @param {string} newPassphrase New passphrase
+   * @returns {Promise<void>}
+   */
+  async changePassphrase(currentPassphrase, newPassphrase) {
+    if (!this.isConfigured()) throw new Error('Vault is not set up');
+
+    try {
+      const dataKey = await this.unwrapDataKey(this.config, currentPassphrase, true);
+      const config = await this.wrapDataKey(dataKey, newPassphrase);
+      config.created = this.config.created || new Date().toISOString();
+      config.passphraseChanged = new Date().toISOString();
+
+      await firestoreManager.updateUserDoc(this.userId, { vault: config });
+
+      this.config = config;
+      await this.useDataKey(dataKey);
+      this.notifyChange();
+    } catch (error) {
+      console.error('Error changing vault passphrase:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Encrypt content for upload when the user has a vault
+   * @param {Blob} blob Plaintext content
+   * @param {string} [iv] Base64 IV to reuse (resuming an interrupted upload)
+   * @returns {Promise<{blob: Blob, encrypted: boolean, iv: string}>} Content to store
+   */
+  async encryptForUpload(blob, iv) {
+    if (!this.isConfigured()) {
+      return { blob, encrypted: false, iv: '' };
+    }
+
+    if (!this.isUnlocked()) {
+      throw new Error('Your vault is locked. Unlock it in Settings to upload files.');
+    }
+
+    const ivBytes = iv ? this.base64ToBytes(iv) : crypto.getRandomValues(new Uint8Array(IV_BYTES));
+    const ciphertext = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv: ivBytes },
+      this.key,
+      await blob.arrayBuffer()
+    );
+
+    return {
+      blob: new Blob([ciphertext], { type: 'application/octet-stream' }),
+      encrypted: true,
+      iv: this.bytesToBase64(ivBytes)
+    };
+  }
+
+  /**
+   * Keyed checksum (HMAC-SHA-256) of plaintext content. Unlike a plain
+   * hash it can't be used to confirm a guess about the content without
+   * the vault key.
+   * @param {Blob} blob Plaintext content
+   * @returns {Promise<string>} Lowercase hex digest
+   */
+  async hmac(blob) {
+    if (!this.isUnlocked()) {
+      throw new Error('Your vault is locked. Unlock it in Settings to continue.');
+    }
+
+    const signature = await crypto.subtle.sign('HMAC', this.hashKey, await blob.arrayBuffer());
+    return Array.from(new Uint8Array(signature), byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * Decrypt stored content if the file was uploaded to the vault
+   * @param {Blob} blob Stored content
+   * @param {Object} fileDoc File document (encrypted, iv, type)
+   * @returns {Promise<Blob>} Plaintext content
+   */
+  async decryptContent(blob, fileDoc) {
+    if (!fileDoc.encrypted) return blob;
+
+    if (!this.isUnlocked()) {
+      throw new Error('This file is encrypted. Unlock your vault in Settings to open it.');
+    }
+
+    try {
+      const plaintext = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: this.base64ToBytes(fileDoc.iv) },
+        this.key,
+        await blob.arrayBuffer()
+      );
+
+      return new Blob([plaintext], { type: fileDoc.type || blob.type });
+    } catch (error) {
+      console.error('Error decrypting file:', error);
+      throw new Error('Could not decrypt file');
+    }
+  }
+
+  /**
+   * Hold the data key for this session, non-extractable, along with the
+   * checksum key derived from it
+   * @param {CryptoKey} dataKey Extractable data key
+   * @returns {Promise<void>}
+   */
+  async useDataKey(dataKey) {
+    const raw = await crypto.subtle.exportKey('raw', dataKey);
+    const baseKey = await crypto.subtle.importKey('raw', raw, 'HKDF', false, ['deriveKey']);
+
+    this.hashKey = await crypto.subtle.deriveKey(
+      { name: 'HKDF', hash: 'SHA-256', salt: new Uint8Array(0), info: new TextEncoder().encode(HASH_KEY_INFO) },
+      baseKey,
+      { name: 'HMAC', hash: 'SHA-256' },
+      false,
+      ['sign']
+    );
+    this.key = await crypto.subtle.importKey('raw', raw, { name: 'AES-GCM' }, false, ['encrypt', 'decrypt']);
+  }
+
+  /**
+   * Wrap a data key with a fresh passphrase-derived key
+   * @param {CryptoKey} dataKey Extractable data key
+   * @param {string} passphrase Passphrase
+   * @returns {Promise<Object>} Vault settings for users/{uid}
+   */
+  async wrapDataKey(dataKey, passphrase) {
+    const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+    const wrapIv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+    const wrappingKey = await this.deriveWrappingKey(passphrase, salt, PBKDF2_ITERATIONS);
+
+    const wrappedKey = await crypto.subtle.wrapKey('raw', dataKey, wrappingKey, {
+      name: 'AES-GCM',
+      iv: wrapIv
+    });
+
+    return {
+      version: VAULT_VERSION,
+      algorithm: 'AES-GCM',
+      kdf: 'PBKDF2-SHA-256',
+      iterations: PBKDF2_ITERATIONS,
+      salt: this.bytesToBase64(salt),
+      wrapIv: this.bytesToBase64(wrapIv),
+      wrappedKey: this.bytesToBase64(new Uint8Array(wrappedKey))
+    };
+  }
+
+  /**
+   * Unwrap the stored data key with a passphrase
+   * @param {Object} config Vault settings from users/{uid}
+   * @param {string} passphrase Passphrase
+   * @param {boolean} extractable Whether the key may be wrapped again
+   * @returns {Promise<CryptoKey>} Data key
+   */
+  async unwrapDataKey(config, passphrase, extractable) {
+    const wrappingKey = await this.deriveWrappingKey(
+      passphrase,
+      this.base64ToBytes(config.salt),
+      config.iterations || PBKDF2_ITERATIONS
+    );
+
+    try {
+      return await crypto.subtle.unwrapKey(
+        'raw',
+        this.base64ToBytes(config.wrappedKey),
+        wrappingKey,
+        { name: 'AES-GCM', iv: this.base64ToBytes(config.wrapIv) },
+        { name: 'AES-GCM', length: 256 },
+        extractable,
+        ['encrypt', 'decrypt']
+      );
+    } catch (error) {
+      // AES-GCM authentication fails when the passphrase is wrong
+      throw new Error('Incorrect passphrase');
+    }
+  }
+
+  /**
+   * Derive the key-wrapping key from a passphrase
+   * @param {string} passphrase Passphrase
+   * @param {Uint8Array} salt Salt
+   * @param {number} iterations PBKDF2 iterations
+   * @returns {Promise<CryptoKey>} Wrapping key
+   */
+  async deriveWrappingKey(passphrase, salt, iterations) {
+    const baseKey = await crypto.subtle.importKey(
+      'raw',
+      new TextEncoder().encode(passphrase),
+      'PBKDF2',
+      false,
+      ['deriveKey']
+    );
+
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+      baseKey,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['wrapKey', 'unwrapKey']
+    );
+  }
+
+  /**
+   * Let the UI and cached content react to lock state changes
+   */
+  notifyChange() {
+    document.dispatchEvent(new CustomEvent('vaultStateChanged', {
+      detail: { configured: this.isConfigured(), unlocked: this.isUnlocked() }
+    }));
+  }
+
+  /**
+   * @param {Uint8Array} bytes Bytes
+   * @returns {string} Base64 string
+   */
+  bytesToBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) {
+      binary += String.fromCharCode(bytes[i]);
+    }
+    return btoa(binary);
+  }
+
+  /**
+   * @param {string} base64 Base64 string
+   * @returns {Uint8Array} Bytes
+   */
+  base64ToBytes(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  }
+}
+
+// Create and export vault manager instance
+const vaultManager = new VaultManager();
+
+export { vaultManager };
+export default vaultManager;
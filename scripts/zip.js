@@ -0,0 +1,562 @@
+/**
+ * Drive Nest - ZIP Module
+ * Writes ZIP archives entry by entry to a sink, so an archive never has to
+ * fit in memory. Sizes and checksums follow each entry's data (data
+ * descriptors), text-like content is deflated where the browser has
+ * CompressionStream('deflate-raw'), and ZIP64 records are added once the
+ * archive passes 4 GB. ZipReader reads archives back from a Blob, one
+ * entry at a time.
+ */
+
+import contentCodec from './content-codec.js';
+
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const DATA_DESCRIPTOR_SIGNATURE = 0x08074b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const ZIP64_END_SIGNATURE = 0x06064b50;
+const ZIP64_LOCATOR_SIGNATURE = 0x07064b50;
+const END_SIGNATURE = 0x06054b50;
+
+const FLAG_ENCRYPTED = 0x0001;
+const FLAG_DATA_DESCRIPTOR = 0x0008;
+const FLAG_UTF8 = 0x0800;
+const METHOD_STORE = 0;
+const METHOD_DEFLATE = 8;
+const VERSION = 20;
+const VERSION_ZIP64 = 45;
+const DIRECTORY_ATTRIBUTE = 0x10;
+
+const MAX_32 = 0xffffffff;
+const MAX_16 = 0xffff;
+// End record plus the longest comment it can carry
+const MAX_END_SEARCH = 22 + MAX_16;
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * Continue a CRC-32 over more bytes
+ * @param {number} crc CRC so far (0 to start)
+ * @param {Uint8Array} bytes Bytes
+ * @returns {number} Updated CRC
+ */
+export function crc32(crc, bytes) {
+  let c = ~crc;
+  for (let i = 0; i < bytes.length; i++) {
+    c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+  }
+  return ~c >>> 0;
+}
+
+/**
+ * @returns {boolean} True if the browser can deflate a stream without a header
+ */
+function supportsDeflateRaw() {
+  try {
+    new CompressionStream('deflate-raw');
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * @returns {boolean} True if the browser can inflate a stream without a header
+ */
+function supportsInflateRaw() {
+  try {
+    new DecompressionStream('deflate-raw');
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * @param {Date} date Date
+ * @returns {{time: number, date: number}} MS-DOS time and date fields
+ */
+function toDosDateTime(date) {
+  const value = date instanceof Date && !isNaN(date.getTime()) && date.getFullYear() >= 1980 ? date : new Date();
+  return {
+    time: (value.getHours() << 11) | (value.getMinutes() << 5) | Math.floor(value.getSeconds() / 2),
+    date: ((value.getFullYear() - 1980) << 9) | ((value.getMonth() + 1) << 5) | value.getDate()
+  };
+}
+
+/**
+ * @param {number} time MS-DOS time field
+ * @param {number} date MS-DOS date field
+ * @returns {Date} Local date
+ */
+function fromDosDateTime(time, date) {
+  return new Date(1980 + (date >> 9), ((date >> 5) & 0xf) - 1, date & 0x1f,
+    time >> 11, (time >> 5) & 0x3f, (time & 0x1f) * 2);
+}
+
+/**
+ * @param {string} message Message
+ * @param {string} code Error code
+ * @returns {Error} Error with the code set
+ */
+function zipError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Little-endian record builder
+ */
+class RecordWriter {
+  constructor(size) {
+    this.bytes = new Uint8Array(size);
+    this.view = new DataView(this.bytes.buffer);
+    this.offset = 0;
+  }
+
+  uint16(value) {
+    this.view.setUint16(this.offset, value, true);
+    this.offset += 2;
+    return this;
+  }
+
+  uint32(value) {
+    this.view.setUint32(this.offset, value >>> 0, true);
+    this.offset += 4;
+    return this;
+  }
+
+  uint64(value) {
+    this.view.setBigUint64(this.offset, BigInt(value), true);
+    this.offset += 8;
+    return this;
+  }
+
+  raw(bytes) {
+    this.bytes.set(bytes, this.offset);
+    this.offset += bytes.length;
+    return this;
+  }
+}
+
+/**
+ * Streaming ZIP archive writer. Entries are written in the order they are
+ * added; close() writes the central directory.
+ *
+ * A sink is `{ write(Uint8Array): Promise, close(): Promise }`.
+ */
+export class ZipWriter {
+  constructor(sink) {
+    this.sink = sink;
+    this.offset = 0;
+    this.entries = [];
+    this.names = new Set();
+    this.canDeflate = supportsDeflateRaw();
+  }
+
+  /**
+   * Add a folder entry (names end with '/')
+   * @param {string} path Folder path inside the archive
+   * @param {Object} [options] Options
+   * @param {Date} [options.modified] Modification date
+   * @returns {Promise<void>}
+   */
+  async addFolder(path, options = {}) {
+    const name = path.endsWith('/') ? path : `${path}/`;
+    if (this.names.has(name)) return;
+
+    const entry = this.createEntry(name, METHOD_STORE, options.modified, true);
+    await this.writeLocalHeader(entry);
+    await this.writeDataDescriptor(entry);
+  }
+
+  /**
+   * Add a file entry, reading its content as a stream
+   * @param {string} path File path inside the archive
+   * @param {ReadableStream<Uint8Array>} stream File content
+   * @param {Object} [options] Options
+   * @param {Date} [options.modified] Modification date
+   * @param {string} [options.type] MIME type, used to decide on compression
+   * @param {function(number)} [options.onData] Called with each chunk's size
+   *   as the original content is read
+   * @returns {Promise<void>}
+   */
+  async addFile(path, stream, options = {}) {
+    const compress = this.canDeflate && contentCodec.isCompressible({ name: path, type: options.type });
+    const entry = this.createEntry(path, compress ? METHOD_DEFLATE : METHOD_STORE, options.modified, false);
+    await this.writeLocalHeader(entry);
+
+    // Checksum and size are of the original bytes, taken on the way in
+    const measured = stream.pipeThrough(new TransformStream({
+      transform: (chunk, controller) => {
+        entry.crc = crc32(entry.crc, chunk);
+        entry.size += chunk.length;
+        options.onData?.(chunk.length);
+        controller.enqueue(chunk);
+      }
+    }));
+    const output = compress ? measured.pipeThrough(new CompressionStream('deflate-raw')) : measured;
+
+    const reader = output.getReader();
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      entry.compressedSize += value.length;
+      await this.write(value);
+    }
+
+    if (entry.size > MAX_32 || entry.compressedSize > MAX_32) {
+      throw new Error(`"${path}" is too large to add to a ZIP archive`);
+    }
+
+    await this.writeDataDescriptor(entry);
+  }
+
+  /**
+   * Write the central directory and close the sink
+   * @returns {Promise<void>}
+   */
+  async close() {
+    const directoryOffset = this.offset;
+    for (const entry of this.entries) {
+      await this.write(this.createCentralHeader(entry));
+    }
+    const directorySize = this.offset - directoryOffset;
+
+    const needsZip64 = this.entries.length > MAX_16 || directoryOffset > MAX_32 || directorySize > MAX_32;
+    if (needsZip64) {
+      const zip64EndOffset = this.offset;
+      await this.write(new RecordWriter(56)
+        .uint32(ZIP64_END_SIGNATURE)
+        .uint64(44) // Size of the rest of this record
+        .uint16(VERSION_ZIP64)
+        .uint16(VERSION_ZIP64)
+        .uint32(0) // This disk
+        .uint32(0) // Disk with the central directory
+        .uint64(this.entries.length)
+        .uint64(this.entries.length)
+        .uint64(directorySize)
+        .uint64(directoryOffset)
+        .bytes);
+      await this.write(new RecordWriter(20)
+        .uint32(ZIP64_LOCATOR_SIGNATURE)
+        .uint32(0)
+        .uint64(zip64EndOffset)
+        .uint32(1)
+        .bytes);
+    }
+
+    await this.write(new RecordWriter(22)
+      .uint32(END_SIGNATURE)
+      .uint16(0)
+      .uint16(0)
+      .uint16(Math.min(this.entries.length, MAX_16))
+      .uint16(Math.min(this.entries.length, MAX_16))
+      .uint32(needsZip64 ? MAX_32 : directorySize)
+      .uint32(needsZip64 ? MAX_32 : directoryOffset)
+      .uint16(0) // Comment length
+      .bytes);
+
+    await this.sink.close();
+  }
+
+  /**
+   * @param {string} name Entry name
+   * @param {number} method Compression method
+   * @param {Date} [modified] Modification date
+   * @param {boolean} isFolder Whether the entry is a folder
+   * @returns {Object} Entry, registered for the central directory
+   */
+  createEntry(name, method, modified, isFolder) {
+    if (this.names.has(name)) {
+      throw new Error(`Duplicate entry in ZIP archive: ${name}`);
+    }
+    this.names.add(name);
+
+    const entry = {
+      name: new TextEncoder().encode(name),
+      method,
+      isFolder,
+      ...toDosDateTime(modified),
+      offset: this.offset,
+      crc: 0,
+      size: 0,
+      compressedSize: 0
+    };
+    this.entries.push(entry);
+    return entry;
+  }
+
+  async writeLocalHeader(entry) {
+    // CRC and sizes are zero here and follow the data in a descriptor
+    await this.write(new RecordWriter(30 + entry.name.length)
+      .uint32(LOCAL_HEADER_SIGNATURE)
+      .uint16(VERSION)
+      .uint16(FLAG_DATA_DESCRIPTOR | FLAG_UTF8)
+      .uint16(entry.method)
+      .uint16(entry.time)
+      .uint16(entry.date)
+      .uint32(0)
+      .uint32(0)
+      .uint32(0)
+      .uint16(entry.name.length)
+      .uint16(0) // Extra field length
+      .raw(entry.name)
+      .bytes);
+  }
+
+  async writeDataDescriptor(entry) {
+    await this.write(new RecordWriter(16)
+      .uint32(DATA_DESCRIPTOR_SIGNATURE)
+      .uint32(entry.crc)
+      .uint32(entry.compressedSize)
+      .uint32(entry.size)
+      .bytes);
+  }
+
+  /**
+   * @param {Object} entry Entry
+   * @returns {Uint8Array} Central directory header, with a ZIP64 extra
+   *   field when the entry starts past 4 GB
+   */
+  createCentralHeader(entry) {
+    const zip64 = entry.offset > MAX_32;
+    const extraLength = zip64 ? 12 : 0;
+
+    const record = new RecordWriter(46 + entry.name.length + extraLength)
+      .uint32(CENTRAL_HEADER_SIGNATURE)
+      .uint16(zip64 ? VERSION_ZIP64 : VERSION) // Version made by
+      .uint16(zip64 ? VERSION_ZIP64 : VERSION) // Version needed
+      .uint16(FLAG_DATA_DESCRIPTOR | FLAG_UTF8)
+      .uint16(entry.method)
+      .uint16(entry.time)
+      .uint16(entry.date)
+      .uint32(entry.crc)
+      .uint32(entry.compressedSize)
+      .uint32(entry.size)
+      .uint16(entry.name.length)
+      .uint16(extraLength)
+      .uint16(0) // Comment length
+      .uint16(0) // Disk number
+      .uint16(0) // Internal attributes
+      .uint32(entry.isFolder ? DIRECTORY_ATTRIBUTE : 0)
+      .uint32(zip64 ? MAX_32 : entry.offset)
+      .raw(entry.name);
+
+    if (zip64) {
+      record.uint16(0x0001).uint16(8).uint64(entry.offset);
+    }
+
+    return record.bytes;
+  }
+
+  /**
+   * @param {Uint8Array} bytes Bytes to append to the archive
+   */
+  async write(bytes) {
+    await this.sink.write(bytes);
+    this.offset += bytes.length;
+  }
+}
+
+/**
+ * ZIP archive reader. Only the central directory is read up front; each
+ * entry's content is read from the Blob when asked for.
+ */
+export class ZipReader {
+  /**
+   * @param {Blob} blob Archive
+   */
+  constructor(blob) {
+    this.blob = blob;
+    this.canInflate = supportsInflateRaw();
+  }
+
+  /**
+   * List the archive's entries, in central directory order
+   * @returns {Promise<Array<Object>>} Entries: `{ name, isFolder, size,
+   *   compressedSize, method, crc, encrypted, modified, offset }`
+   * @throws {Error} With code 'invalid-zip' if the archive can't be read
+   */
+  async getEntries() {
+    const { count, directorySize, directoryOffset } = await this.readEnd();
+    const view = await this.read(directoryOffset, directorySize);
+    const decoder = new TextDecoder();
+    const entries = [];
+
+    let position = 0;
+    for (let index = 0; index < count; index++) {
+      if (position + 46 > view.byteLength || view.getUint32(position, true) !== CENTRAL_HEADER_SIGNATURE) {
+        throw zipError('The ZIP archive\'s file list is damaged', 'invalid-zip');
+      }
+
+      const flags = view.getUint16(position + 8, true);
+      const nameLength = view.getUint16(position + 28, true);
+      const extraLength = view.getUint16(position + 30, true);
+      const commentLength = view.getUint16(position + 32, true);
+      const nameStart = position + 46;
+
+      // Names are decoded as UTF-8 whether or not the archive flags them so
+      const name = decoder.decode(new Uint8Array(view.buffer, view.byteOffset + nameStart, nameLength));
+      const entry = {
+        name,
+        isFolder: name.endsWith('/') || (view.getUint32(position + 38, true) & DIRECTORY_ATTRIBUTE) !== 0,
+        method: view.getUint16(position + 10, true),
+        encrypted: (flags & FLAG_ENCRYPTED) !== 0,
+        modified: fromDosDateTime(view.getUint16(position + 12, true), view.getUint16(position + 14, true)),
+        crc: view.getUint32(position + 16, true),
+        compressedSize: view.getUint32(position + 20, true),
+        size: view.getUint32(position + 24, true),
+        offset: view.getUint32(position + 42, true)
+      };
+      this.readZip64Extra(entry, view, nameStart + nameLength, extraLength);
+
+      entries.push(entry);
+      position = nameStart + nameLength + extraLength + commentLength;
+    }
+
+    return entries;
+  }
+
+  /**
+   * Read an entry's content, checking it against its size and checksum
+   * @param {Object} entry Entry from getEntries()
+   * @returns {Promise<Blob>} Content
+   * @throws {Error} With code 'encrypted' or 'unsupported-method' for
+   *   entries that can't be read here, or 'file-corrupted' if the content
+   *   doesn't match the directory
+   */
+  async readEntry(entry) {
+    if (entry.encrypted) {
+      throw zipError(`"${entry.name}" is password protected`, 'encrypted');
+    }
+    const inflate = entry.method === METHOD_DEFLATE;
+    if (entry.method !== METHOD_STORE && !(inflate && this.canInflate)) {
+      throw zipError(`"${entry.name}" uses a compression method that isn't supported`, 'unsupported-method');
+    }
+
+    const header = await this.read(entry.offset, 30);
+    if (header.getUint32(0, true) !== LOCAL_HEADER_SIGNATURE) {
+      throw zipError(`"${entry.name}" is damaged`, 'file-corrupted');
+    }
+    const dataStart = entry.offset + 30 + header.getUint16(26, true) + header.getUint16(28, true);
+    const data = this.blob.slice(dataStart, dataStart + entry.compressedSize).stream();
+
+    let crc = 0;
+    let size = 0;
+    const chunks = [];
+    const reader = (inflate ? data.pipeThrough(new DecompressionStream('deflate-raw')) : data).getReader();
+    try {
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        size += value.length;
+        // Stop reading content that outgrows the size it was listed with
+        if (size > entry.size) break;
+        crc = crc32(crc, value);
+        chunks.push(value);
+      }
+    } catch (error) {
+      throw zipError(`"${entry.name}" is damaged`, 'file-corrupted');
+    } finally {
+      reader.cancel().catch(() => {});
+    }
+
+    if (size !== entry.size || crc !== entry.crc) {
+      throw zipError(`"${entry.name}" is damaged`, 'file-corrupted');
+    }
+    return new Blob(chunks);
+  }
+
+  /**
+   * Find the end of central directory record, and its ZIP64 version if any
+   * @returns {Promise<{count: number, directorySize: number, directoryOffset: number}>}
+   */
+  async readEnd() {
+    const tailStart = Math.max(0, this.blob.size - MAX_END_SEARCH);
+    const tail = await this.read(tailStart, this.blob.size - tailStart);
+
+    let position = tail.byteLength - 22;
+    while (position >= 0 && tail.getUint32(position, true) !== END_SIGNATURE) {
+      position--;
+    }
+    if (position < 0) {
+      throw zipError('Not a ZIP archive, or the archive is incomplete', 'invalid-zip');
+    }
+
+    const end = {
+      count: tail.getUint16(position + 10, true),
+      directorySize: tail.getUint32(position + 12, true),
+      directoryOffset: tail.getUint32(position + 16, true)
+    };
+
+    const locator = position - 20;
+    const isZip64 = end.count === MAX_16 || end.directorySize === MAX_32 || end.directoryOffset === MAX_32;
+    if (isZip64 && locator >= 0 && tail.getUint32(locator, true) === ZIP64_LOCATOR_SIGNATURE) {
+      const record = await this.read(Number(tail.getBigUint64(locator + 8, true)), 56);
+      if (record.getUint32(0, true) !== ZIP64_END_SIGNATURE) {
+        throw zipError('The ZIP archive\'s file list is damaged', 'invalid-zip');
+      }
+      end.count = Number(record.getBigUint64(32, true));
+      end.directorySize = Number(record.getBigUint64(40, true));
+      end.directoryOffset = Number(record.getBigUint64(48, true));
+    }
+
+    if (end.directoryOffset + end.directorySize > this.blob.size) {
+      throw zipError('The ZIP archive is incomplete', 'invalid-zip');
+    }
+    return end;
+  }
+
+  /**
+   * Take 64-bit sizes and offset from an entry's ZIP64 extra field. It only
+   * holds the values the header left at 0xffffffff, in this order.
+   * @param {Object} entry Entry being read
+   * @param {DataView} view Central directory
+   * @param {number} start Start of the extra fields
+   * @param {number} length Length of the extra fields
+   */
+  readZip64Extra(entry, view, start, length) {
+    let position = start;
+    while (position + 4 <= start + length) {
+      const id = view.getUint16(position, true);
+      const size = view.getUint16(position + 2, true);
+      if (id === 0x0001) {
+        let field = position + 4;
+        for (const key of ['size', 'compressedSize', 'offset']) {
+          if (entry[key] === MAX_32 && field + 8 <= position + 4 + size) {
+            entry[key] = Number(view.getBigUint64(field, true));
+            field += 8;
+          }
+        }
+        return;
+      }
+      position += 4 + size;
+    }
+  }
+
+  /**
+   * @param {number} start Offset in the archive
+   * @param {number} length Byte count
+   * @returns {Promise<DataView>} Bytes
+   */
+  async read(start, length) {
+    if (start < 0 || start + length > this.blob.size) {
+      throw zipError('The ZIP archive is incomplete', 'invalid-zip');
+    }
+    return new DataView(await this.blob.slice(start, start + length).arrayBuffer());
+  }
+}
+
+export default ZipWriter;
@@ -3,9 +3,11 @@
  * Handles caching, offline functionality, and background sync
  */
 
-const CACHE_NAME = 'drive-nest-v1.0.0';
-const STATIC_CACHE_NAME = 'drive-nest-static-v1.0.0';
-const DYNAMIC_CACHE_NAME = 'drive-nest-dynamic-v1.0.0';
+// Bump with every change to the app's scripts or STATIC_ASSETS: static
+// files are served cache-first, so old modules would load next to new ones
+const CACHE_NAME = 'drive-nest-v1.1.0';
+const STATIC_CACHE_NAME = 'drive-nest-static-v1.1.0';
+const DYNAMIC_CACHE_NAME = 'drive-nest-dynamic-v1.1.0';
 
 // Files to cache for offline use
 const STATIC_ASSETS = [
@@ -18,10 +20,28 @@ const STATIC_ASSETS = [
   '/scripts/app.js',
   '/scripts/auth.js',
   '/scripts/storage.js',
+  '/scripts/storage-firestore.js',
+  '/scripts/storage-hybrid.js',
+  '/scripts/storage-backend.js',
   '/scripts/firestore.js',
   '/scripts/upload.js',
+  '/scripts/upload-store.js',
+  '/scripts/vault.js',
+  '/scripts/content-codec.js',
+  '/scripts/quota.js',
+  '/scripts/paths.js',
+  '/scripts/maintenance.js',
+  '/scripts/duplicate.js',
+  '/scripts/zip.js',
+  '/scripts/download.js',
+  '/scripts/extract.js',
   '/scripts/ui/modals.js',
   '/scripts/ui/keyboard.js',
+  '/scripts/ui/cleanup.js',
+  '/scripts/ui/analytics.js',
+  '/scripts/ui/maintenance.js',
+  '/scripts/ui/folder-tree.js',
+  '/scripts/ui/move-dialog.js',
   '/scripts/preview/index.js',
   '/scripts/preview/pdf.js',
   '/scripts/preview/docx.js',